@@ -0,0 +1,194 @@
+/**
+ * Crucible of Fate - GM Actions
+ * Pool operations shared by the panel, the move dice dialog and the public API;
+ * each one writes through CrucibleState and broadcasts the result
+ */
+
+import { CrucibleState } from "./state.js";
+import { CrucibleSocket } from "./socket.js";
+import { CrucibleRules } from "./rules.js";
+import { CrucibleDice, CrucibleColorset } from "./dice.js";
+
+/**
+ * Directions accepted by moveDice
+ */
+export const MoveDirection = {
+  PLAYER_TO_GM: "playerToGm",
+  GM_TO_PLAYER: "gmToPlayer"
+};
+
+export const CrucibleActions = {
+  /**
+   * Move dice between the pools (GM-only)
+   * @param {string} direction - One of MoveDirection
+   * @param {number} amount - Number of dice to move (at least 1)
+   * @returns {Promise<Object>} Updated state
+   */
+  async moveDice(direction, amount) {
+    if (!Object.values(MoveDirection).includes(direction)) {
+      throw new Error(`Unknown direction "${direction}"`);
+    }
+    if (!Number.isInteger(amount) || amount < 1) {
+      throw new Error(game.i18n.localize("crucible.moveDice.error.invalidAmount"));
+    }
+
+    const toGm = direction === MoveDirection.PLAYER_TO_GM;
+    const newState = await CrucibleState.updateState(state => {
+      const source = toGm ? state.playerPoolCount : state.gmPoolCount;
+      if (source < amount) {
+        throw new Error(game.i18n.localize("crucible.moveDice.error.insufficientDice"));
+      }
+      return {
+        playerPoolCount: state.playerPoolCount + (toGm ? -amount : amount),
+        gmPoolCount: state.gmPoolCount + (toGm ? amount : -amount)
+      };
+    }, {
+      action: "move",
+      details: { direction, amount }
+    });
+
+    CrucibleSocket.broadcastStateUpdate(newState);
+    return newState;
+  },
+
+  /**
+   * Roll a die from the GM Pool and pass it to the Player Pool (GM-only)
+   * @param {Object} [options]
+   * @param {boolean} [options.silent] - Whisper the result to GMs instead of posting it publicly
+   * @param {boolean} [options.transfer] - Move the die to the Player Pool; if false it stays in the GM Pool (defaults to the rules)
+   * @returns {Promise<Object>} { result, state }
+   */
+  async rollGmDie({ silent = false, transfer } = {}) {
+    return await this.spendGmDice({ count: 1, silent, transfer });
+  },
+
+  /**
+   * Spend dice from the GM Pool (GM-only)
+   * Rolls the dice (or a custom formula), posts a card and, unless told
+   * otherwise, moves the spent dice to the Player Pool.
+   * @param {Object} [options]
+   * @param {number} [options.count=1] - Number of GM dice spent
+   * @param {string} [options.formula] - Formula to roll (defaults to one Crucible die per die spent)
+   * @param {boolean} [options.silent] - Whisper the result to GMs instead of posting it publicly
+   * @param {boolean} [options.transfer] - Move the dice to the Player Pool; if false they stay in the GM Pool (defaults to the rules)
+   * @param {string} [options.label] - Homebrew effect the dice were spent on, shown on the card
+   * @returns {Promise<Object>} { result, state }
+   */
+  async spendGmDice({ count = 1, formula = null, silent = false, transfer, label = null } = {}) {
+    transfer ??= CrucibleRules.get().gmSpendDestination === "player";
+
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(game.i18n.localize("crucible.moveDice.error.invalidAmount"));
+    }
+
+    const state = CrucibleState.getState();
+    if (state.gmPoolCount < count) {
+      throw new Error(game.i18n.localize("crucible.moveDice.error.insufficientDice"));
+    }
+
+    const rollFormula = formula?.trim() || CrucibleRules.formula(count);
+    if (!Roll.validate(rollFormula)) {
+      throw new Error(game.i18n.format("crucible.spend.error.invalidFormula", { formula: rollFormula }));
+    }
+
+    const roll = await CrucibleDice.roll(rollFormula, CrucibleColorset.GM);
+    const result = roll.total;
+
+    let content = count === 1 && !formula
+      ? game.i18n.format("crucible.rollGmDie.chatMessage", { result })
+      : game.i18n.format("crucible.spend.chatMessage", { count, formula: rollFormula, result });
+    if (label) {
+      content = `<div class="crucible-spend-label">${Handlebars.escapeExpression(label)}</div>${content}`;
+    }
+    if (!transfer) {
+      content += `<br><em>${game.i18n.localize("crucible.spend.kept")}</em>`;
+    }
+
+    // Spend first, so a refused spend posts no card; the card's ID is fixed up front for the audit log
+    const messageId = foundry.utils.randomID();
+    const newState = await CrucibleState.updateState(current => {
+      if (current.gmPoolCount < count) {
+        throw new Error(game.i18n.localize("crucible.moveDice.error.insufficientDice"));
+      }
+
+      // Spent without transfer: nothing moves, but the roll is still logged
+      if (!transfer) {
+        return { gmPoolCount: current.gmPoolCount };
+      }
+
+      // Move dice GM → Player (default behavior)
+      return {
+        gmPoolCount: current.gmPoolCount - count,
+        playerPoolCount: current.playerPoolCount + count
+      };
+    }, {
+      action: "rollGmDie",
+      messageId: messageId,
+      details: { result, count, formula: rollFormula, label, transfer }
+    });
+
+    await ChatMessage.create({
+      _id: messageId,
+      speaker: ChatMessage.getSpeaker(),
+      ...await CrucibleDice.messageData(roll, `<div class="crucible-chat-message">${content}</div>`),
+      whisper: silent ? ChatMessage.getWhisperRecipients("GM").map(user => user.id) : [],
+      flags: {
+        "crucible-of-fate": {
+          gmSpend: { count, formula: rollFormula, result, label, transfer }
+        }
+      }
+    }, { keepId: true });
+
+    CrucibleSocket.broadcastStateUpdate(newState);
+    return { result, state: newState };
+  },
+
+  /**
+   * Get the GM-editable list of homebrew effects dice can be spent on
+   * @returns {string[]} Effect labels
+   */
+  getHomebrewEffects() {
+    return game.settings.get("crucible-of-fate", "homebrewEffects") ?? [];
+  },
+
+  /**
+   * Replace the list of homebrew effects (GM-only)
+   * @param {string[]} effects - Effect labels
+   * @returns {Promise<void>}
+   */
+  async setHomebrewEffects(effects) {
+    const unique = [...new Set(effects.map(effect => effect.trim()).filter(Boolean))];
+    await game.settings.set("crucible-of-fate", "homebrewEffects", unique);
+  },
+
+  /**
+   * Turn override mode on or off (GM-only)
+   * @param {boolean} [enabled] - New value; toggles when omitted
+   * @returns {Promise<Object>} Updated state
+   */
+  async setOverride(enabled) {
+    const newState = await CrucibleState.updateState(current => {
+      const value = enabled ?? !current.overrideEnabled;
+      if (value === current.overrideEnabled) return null;
+      return { overrideEnabled: value };
+    }, { action: "override" });
+
+    CrucibleSocket.broadcastStateUpdate(newState);
+    return newState;
+  },
+
+  /**
+   * Empty both pools and release armed dice (GM-only)
+   * @returns {Promise<Object>} Updated state
+   */
+  async resetPools() {
+    const newState = await CrucibleState.updateState({
+      playerPoolCount: 0,
+      gmPoolCount: 0,
+      armed: {}
+    }, { action: "reset" });
+
+    CrucibleSocket.broadcastStateUpdate(newState);
+    return newState;
+  }
+};
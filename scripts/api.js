@@ -0,0 +1,151 @@
+/**
+ * Crucible of Fate - Public API
+ * Exposed as game.modules.get("crucible-of-fate").api for macros and other modules
+ *
+ * Hooks fired by the module:
+ *   crucible.preUpdateState (state, changes, context) - GM; return false to veto a pool change
+ *   crucible.stateUpdated (state) - every client, after the state document changes
+ *   crucible.preAugment (message, userId, options) - GM; return false to veto an augment
+ *   crucible.augment (message, { userId, result, newTotal, reserved, lent, contributionId }) - GM, after an augment
+ *   crucible.counterSpend (message, { result, label, subtract }) - GM, after a GM die answers an augment
+ *   crucible.approvalsChanged - GM, when the augment approval queue changes
+ *   crucible.seedStarted / crucible.seedComplete - every client
+ *   crucible.sessionStarted (session) / crucible.sessionEnded (report) - GM
+ *   crucible.registerRollClassifiers (RollClassifiers) - during setup
+ */
+
+import { CrucibleState } from "./state.js";
+import { CrucibleSocket } from "./socket.js";
+import { CrucibleActions, MoveDirection } from "./actions.js";
+import { CrucibleSessions } from "./sessions.js";
+import { RollAugmentation } from "./rollAugmentation.js";
+import { RollClassifiers, RollCategory } from "./rollClassifiers.js";
+import { CrucibleError, CrucibleErrorCode } from "./errors.js";
+
+/**
+ * Throw unless the current user is a GM
+ */
+function requireGM() {
+  if (!game.user.isGM) {
+    throw new CrucibleError(CrucibleErrorCode.GM_ONLY);
+  }
+}
+
+export const CrucibleAPI = {
+  MoveDirection,
+  RollCategory,
+  CrucibleErrorCode,
+
+  /**
+   * Get a copy of the current state
+   * @returns {Object} State ({ playerPoolCount, gmPoolCount, overrideEnabled, ... })
+   */
+  getState() {
+    return CrucibleState.getState();
+  },
+
+  /**
+   * Move dice between the pools (GM-only)
+   * @param {string} direction - "playerToGm" or "gmToPlayer"
+   * @param {number} [amount=1] - Number of dice to move
+   * @returns {Promise<Object>} Updated state
+   */
+  async move(direction, amount = 1) {
+    requireGM();
+    return await CrucibleActions.moveDice(direction, amount);
+  },
+
+  /**
+   * Roll a GM die and pass it to the Player Pool (GM-only)
+   * @param {Object} [options]
+   * @param {boolean} [options.silent] - Whisper the result to GMs
+   * @param {boolean} [options.transfer] - Move the die to the Player Pool; false keeps it in the GM Pool (defaults to the rules' GM spend destination)
+   * @returns {Promise<Object>} { result, state }
+   */
+  async spendGmDie(options = {}) {
+    requireGM();
+    return await CrucibleActions.rollGmDie(options);
+  },
+
+  /**
+   * Add +1d6 to a roll
+   * Players go through the GM like the chat context menu; a GM applies it
+   * directly on behalf of the roll's author, who must be a player.
+   * @param {string} messageId - Chat message ID of the roll
+   * @returns {Promise<Object>} { result, newTotal, dice }
+   */
+  async requestAugment(messageId) {
+    if (!game.user.isGM) {
+      return await RollAugmentation.processAugment(messageId);
+    }
+
+    const message = game.messages.get(messageId);
+    if (!message) {
+      throw new CrucibleError(CrucibleErrorCode.MESSAGE_NOT_FOUND);
+    }
+    return await RollAugmentation.handleAugmentRequest(message.user?.id, messageId);
+  },
+
+  /**
+   * Start the seeding ritual (GM-only)
+   * @returns {Promise<void>}
+   */
+  async startRitual() {
+    requireGM();
+    await CrucibleSocket.startSeed();
+  },
+
+  /**
+   * Begin a session, snapshotting the pools (GM-only)
+   * @returns {Promise<Object>} The new session
+   */
+  async beginSession() {
+    requireGM();
+    return await CrucibleSessions.begin();
+  },
+
+  /**
+   * End the running session and post its summary (GM-only)
+   * @returns {Promise<Object>} Session report
+   */
+  async endSession() {
+    requireGM();
+    return await CrucibleSessions.end();
+  },
+
+  /**
+   * Get the reports of past sessions, oldest first
+   * @returns {Array<Object>} Session reports
+   */
+  getSessionHistory() {
+    return CrucibleSessions.getHistory();
+  },
+
+  /**
+   * Turn override mode on or off (GM-only)
+   * @param {boolean} enabled - New value
+   * @returns {Promise<Object>} Updated state
+   */
+  async setOverride(enabled) {
+    requireGM();
+    return await CrucibleActions.setOverride(!!enabled);
+  },
+
+  /**
+   * Register a roll classifier for a game system
+   * @param {string} systemId - game.system.id
+   * @param {Function} classifier - (message) => "skill" | "save" | "other" | null
+   */
+  registerRollClassifier(systemId, classifier) {
+    RollClassifiers.register(systemId, classifier);
+  },
+
+  /**
+   * Register a target (DC) lookup for a game system
+   * @param {string} systemId - game.system.id
+   * @param {Function} lookup - (message) => number | null
+   */
+  registerRollTarget(systemId, lookup) {
+    RollClassifiers.registerTarget(systemId, lookup);
+  }
+};
@@ -0,0 +1,177 @@
+/**
+ * Crucible of Fate - Augment Approvals
+ * With approval mode on, player augment requests wait in a queue until the GM rules on them
+ */
+
+import { CrucibleState } from "./state.js";
+import { RollAugmentation } from "./rollAugmentation.js";
+import { CrucibleError, CrucibleErrorCode } from "./errors.js";
+
+/**
+ * How long a request waits in the queue before it is refused (the player waits a little longer)
+ */
+export const APPROVAL_TIMEOUT_MS = 10 * 60 * 1000;
+
+export const CrucibleApprovals = {
+  /**
+   * Requests waiting for a decision, oldest first
+   */
+  queue: [],
+
+  /**
+   * Check if augment requests need the GM's approval
+   * @returns {boolean} True if approval mode is on
+   */
+  isEnabled() {
+    return game.settings.get("crucible-of-fate", "augmentApproval");
+  },
+
+  /**
+   * Queue a player's augment request; resolves or rejects once the GM decides
+   * The request is checked first, so impossible requests are refused without asking the GM.
+   * @param {string} userId - Requesting user ID
+   * @param {Object} payload - Request data ({ messageId, requestId })
+   * @returns {Promise<Object>} Acknowledgement data ({ result, newTotal, dice })
+   * @fires crucible.approvalsChanged
+   */
+  enqueue(userId, payload) {
+    RollAugmentation.validateAugmentRequest(userId, payload.messageId);
+
+    // A request re-sent after a GM change replaces the copy already queued
+    const existing = this.queue.find(entry => entry.requestId && entry.requestId === payload.requestId);
+    if (existing) {
+      this.queue.splice(this.queue.indexOf(existing), 1);
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = foundry.utils.randomID();
+      this.queue.push({
+        id: id,
+        requestId: payload.requestId ?? null,
+        userId: userId,
+        messageId: payload.messageId,
+        requestedAt: Date.now(),
+        timer: setTimeout(() => this.expire(id), APPROVAL_TIMEOUT_MS),
+        resolve,
+        reject
+      });
+      Hooks.callAll("crucible.approvalsChanged");
+    });
+  },
+
+  /**
+   * Describe the queued requests for display
+   * @returns {Array<Object>} { id, userName, label, actor, total, lent, stale, time }
+   */
+  getEntries() {
+    return this.queue.map(entry => {
+      const message = game.messages.get(entry.messageId);
+      return {
+        id: entry.id,
+        userName: game.users.get(entry.userId)?.name ?? entry.userId,
+        ...(message ? RollAugmentation.describeRoll(message) : { label: "", actor: "", total: "" }),
+        lent: !!message && message.user?.id !== entry.userId,
+        stale: this.isStale(entry),
+        time: new Date(entry.requestedAt).toLocaleTimeString()
+      };
+    });
+  },
+
+  /**
+   * Check if a queued roll is no longer its author's most recent roll (or is gone)
+   * @param {Object} entry - Queue entry
+   * @returns {boolean} True if the request can no longer be applied as asked
+   */
+  isStale(entry) {
+    const author = game.messages.get(entry.messageId)?.user;
+    return !author || RollAugmentation.findMostRecentRoll(author.id)?.id !== entry.messageId;
+  },
+
+  /**
+   * Approve a request and apply the Crucible die (GM-only)
+   * @param {string} id - Queue entry ID
+   * @param {Object} [options]
+   * @param {string} [options.narration] - Narration added to the chat card
+   * @returns {Promise<Object>} { result, newTotal, dice }
+   */
+  async approve(id, { narration = "" } = {}) {
+    const entry = this._take(id);
+    try {
+      const response = await RollAugmentation.handleAugmentRequest(entry.userId, entry.messageId, { narration });
+      entry.resolve(response);
+      return response;
+    } catch (error) {
+      entry.reject(error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deny a request; the reason is shown to the player (GM-only)
+   * @param {string} id - Queue entry ID
+   * @param {string} [reason] - Explanation for the player
+   */
+  deny(id, reason = "") {
+    const entry = this._take(id);
+    entry.reject(new CrucibleError(CrucibleErrorCode.DENIED, undefined, {
+      reason: reason.trim() || game.i18n.localize("crucible.approval.noReason")
+    }));
+  },
+
+  /**
+   * Refuse a request the GM did not rule on in time
+   * @param {string} id - Queue entry ID
+   */
+  expire(id) {
+    const entry = this.queue.find(e => e.id === id);
+    if (!entry) return;
+
+    this.queue.splice(this.queue.indexOf(entry), 1);
+    entry.reject(new CrucibleError(CrucibleErrorCode.APPROVAL_EXPIRED));
+    Hooks.callAll("crucible.approvalsChanged");
+  },
+
+  /**
+   * Refuse every queued request, e.g. when this GM stops processing requests
+   * The players have already been told to ask again, so nothing is reported here.
+   */
+  clear() {
+    if (!this.queue.length) return;
+
+    const entries = this.queue.splice(0);
+    for (const entry of entries) {
+      clearTimeout(entry.timer);
+      entry.reject(new CrucibleError(CrucibleErrorCode.AUTHORITY_CHANGED));
+    }
+    Hooks.callAll("crucible.approvalsChanged");
+  },
+
+  /**
+   * Remove an entry from the queue
+   * @param {string} id - Queue entry ID
+   * @returns {Object} Queue entry
+   */
+  _take(id) {
+    if (!game.user.isGM) {
+      throw new CrucibleError(CrucibleErrorCode.GM_ONLY);
+    }
+
+    const entry = this.queue.find(e => e.id === id);
+    if (!entry) {
+      throw new CrucibleError(CrucibleErrorCode.MESSAGE_NOT_FOUND);
+    }
+    clearTimeout(entry.timer);
+    this.queue.splice(this.queue.indexOf(entry), 1);
+    Hooks.callAll("crucible.approvalsChanged");
+    return entry;
+  },
+
+  /**
+   * Current pool sizes, shown alongside the queue
+   * @returns {Object} { playerPoolCount, gmPoolCount }
+   */
+  getPools() {
+    const state = CrucibleState.getState();
+    return { playerPoolCount: state.playerPoolCount, gmPoolCount: state.gmPoolCount };
+  }
+};
@@ -0,0 +1,253 @@
+/**
+ * Crucible of Fate - Arming
+ * Pre-roll declaration: a player arms the Crucible, the GM reserves a die from
+ * the Player Pool, and the player's next skill check or saving throw uses it
+ */
+
+import { CrucibleState } from "./state.js";
+import { CrucibleSocket } from "./socket.js";
+import { RollAugmentation } from "./rollAugmentation.js";
+import { CrucibleError, CrucibleErrorCode } from "./errors.js";
+import { CrucibleRules } from "./rules.js";
+
+export const CrucibleArming = {
+  /**
+   * Check if players may arm the Crucible before rolling
+   * @returns {boolean} True if the declaration mode allows arming
+   */
+  isEnabled() {
+    return game.settings.get("crucible-of-fate", "declarationMode") !== "mostRecent";
+  },
+
+  /**
+   * Check if a player has a die armed
+   * @param {string} [userId] - User ID (defaults to the current user)
+   * @param {Object} [state] - State to read (defaults to current state)
+   * @returns {boolean} True if armed
+   */
+  isArmed(userId = game.user.id, state = CrucibleState.getState()) {
+    return !!state.armed?.[userId];
+  },
+
+  /**
+   * Player arms or disarms the Crucible
+   * @returns {Promise<Object>} GM acknowledgement ({ armed })
+   */
+  async toggle() {
+    if (game.user.isGM) return null;
+
+    try {
+      const response = this.isArmed()
+        ? await CrucibleSocket.request("disarmCrucible", {})
+        : await CrucibleSocket.request("armCrucible", {});
+      ui.notifications.info(game.i18n.localize(response.armed ? "crucible.arming.armed" : "crucible.arming.disarmed"));
+      return response;
+    } catch (error) {
+      ui.notifications.error(error.message);
+      return null;
+    }
+  },
+
+  /**
+   * GM reserves a Player Pool die for a player
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Acknowledgement data ({ armed })
+   */
+  async handleArm(userId) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can arm the Crucible");
+    }
+    if (!this.isEnabled()) {
+      throw new CrucibleError(CrucibleErrorCode.ARMING_DISABLED);
+    }
+    if (!game.users.get(userId)) {
+      throw new CrucibleError(CrucibleErrorCode.USER_NOT_FOUND);
+    }
+
+    const dice = CrucibleRules.get().augmentDice;
+    const newState = await CrucibleState.updateState(state => {
+      if (state.armed[userId]) {
+        throw new CrucibleError(CrucibleErrorCode.ALREADY_ARMED);
+      }
+      if (state.playerPoolCount < dice) {
+        throw new CrucibleError(CrucibleErrorCode.PLAYER_POOL_EMPTY);
+      }
+      return {
+        playerPoolCount: state.playerPoolCount - dice,
+        armed: { ...state.armed, [userId]: { armedAt: new Date().toISOString(), dice: dice } }
+      };
+    }, { action: "arm", userId: userId });
+
+    CrucibleSocket.broadcastStateUpdate(newState);
+    return { armed: true };
+  },
+
+  /**
+   * GM releases a player's reserved die back to the Player Pool
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Acknowledgement data ({ armed })
+   */
+  async handleDisarm(userId) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can disarm the Crucible");
+    }
+
+    const newState = await CrucibleState.updateState(state => {
+      if (!state.armed[userId]) {
+        throw new CrucibleError(CrucibleErrorCode.NOT_ARMED);
+      }
+      const armed = { ...state.armed };
+      delete armed[userId];
+      return {
+        playerPoolCount: state.playerPoolCount + (state.armed[userId].dice ?? 1),
+        armed: armed
+      };
+    }, { action: "disarm", userId: userId });
+
+    CrucibleSocket.broadcastStateUpdate(newState);
+    return { armed: false };
+  },
+
+  /**
+   * Spend an armed die on a newly created roll (authoritative GM only)
+   * Rolls that already include the die (added by a pre-roll hook) are only
+   * recorded; other systems get the usual augment card.
+   * @param {ChatMessage} message - New chat message
+   * @returns {Promise<void>}
+   */
+  async consume(message) {
+    if (!CrucibleSocket.isAuthority()) return;
+
+    const userId = message.user?.id;
+    if (!userId || !this.isArmed(userId)) return;
+    if (!RollAugmentation.isTrackableRoll(message) || !RollAugmentation.isAugmentableRoll(message)) return;
+
+    try {
+      if (message.getFlag("crucible-of-fate", "armedRoll")) {
+        await this._recordArmedRoll(message, userId);
+      } else {
+        await RollAugmentation.handleAugmentRequest(userId, message.id, { reserved: true });
+      }
+    } catch (error) {
+      console.error("Crucible of Fate | Error spending armed die:", error);
+      ui.notifications.error(error.message);
+    }
+  },
+
+  /**
+   * Record a roll that already includes the armed die
+   * @param {ChatMessage} message - Roll message
+   * @param {string} userId - User who armed the Crucible
+   * @returns {Promise<void>}
+   */
+  async _recordArmedRoll(message, userId) {
+    const term = message.rolls.flatMap(roll => roll.dice)
+      .find(die => die.options?.flavor === game.i18n.localize("crucible.augment.badge"));
+    const result = term?.total ?? null;
+    const pool = CrucibleRules.get().augmentDestination;
+    const toGm = pool === "gm";
+    const contribution = {
+      id: foundry.utils.randomID(),
+      userId: userId,
+      dice: term?.number ?? 1,
+      results: term?.results.map(r => r.result) ?? [],
+      result: result,
+      roll: null,
+      flipped: null,
+      pool: pool,
+      lent: false,
+      inPlace: true,
+      armed: true,
+      narration: "",
+      originalRoll: null,
+      originalContent: null,
+      revoked: false
+    };
+
+    // Spend the armed dice first, so a refused spend leaves the roll unmarked
+    let spent = 0;
+    const newState = await CrucibleState.updateState(state => {
+      if (!state.armed[userId]) return null;
+      spent = state.armed[userId].dice ?? 1;
+      const armed = { ...state.armed };
+      delete armed[userId];
+      return {
+        playerPoolCount: state.playerPoolCount + (toGm ? 0 : spent),
+        gmPoolCount: state.gmPoolCount + (toGm ? spent : 0),
+        armed: armed
+      };
+    }, {
+      action: "augment",
+      userId: userId,
+      messageId: message.id,
+      details: { rollMessageId: message.id, contributionId: contribution.id, result, armed: true, undoToPool: true }
+    });
+    if (!spent) return;
+
+    await RollAugmentation.setContributions(message, [contribution]);
+
+    CrucibleSocket.broadcastStateUpdate(newState);
+    Hooks.callAll("crucible.augment", message, {
+      userId,
+      result,
+      newTotal: message.rolls[0]?.total ?? null,
+      reserved: true,
+      contributionId: contribution.id
+    });
+  },
+
+  /**
+   * Hook the current system's pre-roll events so an armed player's roll includes +1d6
+   */
+  registerSystemHooks() {
+    if (game.system.id !== "dnd5e") return;
+
+    // dnd5e 2.x / 3.x: (actor, config, id)
+    Hooks.on("dnd5e.preRollSkill", (actor, config) => this._addToLegacyConfig(config));
+    Hooks.on("dnd5e.preRollAbilitySave", (actor, config) => this._addToLegacyConfig(config));
+
+    // dnd5e 4.x: (config, dialog, message)
+    Hooks.on("dnd5e.preRollSkillV2", (config, dialog, message) => this._addToConfig(config, message));
+    Hooks.on("dnd5e.preRollSavingThrowV2", (config, dialog, message) => this._addToConfig(config, message));
+  },
+
+  /**
+   * Check if this client's next roll should include the armed die
+   * @returns {boolean} True if armed
+   */
+  _shouldApply() {
+    return !game.user.isGM && this.isEnabled() && this.isArmed();
+  },
+
+  /**
+   * Add the armed die to a dnd5e 2.x / 3.x roll configuration
+   * @param {Object} config - Roll configuration
+   */
+  _addToLegacyConfig(config) {
+    if (!this._shouldApply()) return;
+
+    config.parts = [...(config.parts ?? []), this._term()];
+    foundry.utils.setProperty(config, "messageData.flags.crucible-of-fate.armedRoll", game.user.id);
+  },
+
+  /**
+   * Add the armed die to a dnd5e 4.x roll configuration
+   * @param {Object} config - Roll process configuration
+   * @param {Object} message - Message configuration
+   */
+  _addToConfig(config, message) {
+    if (!this._shouldApply() || !config.rolls?.length) return;
+
+    const roll = config.rolls[0];
+    roll.parts = [...(roll.parts ?? []), this._term()];
+    foundry.utils.setProperty(message, "data.flags.crucible-of-fate.armedRoll", game.user.id);
+  },
+
+  /**
+   * Roll term for the armed dice, e.g. "1d6[Crucible]"
+   * @returns {string} Formula term
+   */
+  _term() {
+    return `${CrucibleRules.augmentFormula()}[${game.i18n.localize("crucible.augment.badge")}]`;
+  }
+};
@@ -0,0 +1,244 @@
+/**
+ * Crucible of Fate - Attendance
+ * Keeps the dice total in step with players joining or leaving mid-session
+ */
+
+import { CrucibleState } from "./state.js";
+import { CrucibleSocket } from "./socket.js";
+import { CrucibleRitual } from "./ritual.js";
+import { CrucibleRules } from "./rules.js";
+
+/**
+ * How long (ms) a disconnected player has to come back before they count as gone,
+ * so a page reload does not cost them their die
+ */
+const DEPARTURE_GRACE_MS = 30000;
+
+export const CrucibleAttendance = {
+  /**
+   * Pending departures, keyed by user ID
+   */
+  _departures: new Map(),
+
+  /**
+   * React to a user connecting or disconnecting (authoritative GM only)
+   * @param {User} user - User whose connection changed
+   * @param {boolean} connected - True if the user connected
+   * @returns {Promise<void>}
+   */
+  async handleUserConnected(user, connected) {
+    if (!CrucibleSocket.isAuthority()) return;
+
+    const requireCharacter = game.settings.get("crucible-of-fate", "requireCharacterOwnership");
+    if (!CrucibleState.isCountedPlayer(user, requireCharacter)) return;
+
+    // Back within the grace period: nothing changed
+    if (connected && this._departures.has(user.id)) {
+      clearTimeout(this._departures.get(user.id));
+      this._departures.delete(user.id);
+      CrucibleState.departing.delete(user.id);
+      return;
+    }
+
+    if (!connected) {
+      CrucibleState.departing.add(user.id);
+      this._departures.set(user.id, setTimeout(() => this._depart(user), DEPARTURE_GRACE_MS));
+      return;
+    }
+
+    try {
+      await this.onPlayerJoined(user);
+    } catch (error) {
+      console.error("Crucible of Fate | Error adjusting pools for attendance:", error);
+      ui.notifications.error(error.message);
+    }
+  },
+
+  /**
+   * Handle a departure once the grace period is over
+   * @param {User} user - Departing player
+   * @returns {Promise<void>}
+   */
+  async _depart(user) {
+    this._departures.delete(user.id);
+    CrucibleState.departing.delete(user.id);
+    if (user.active || !CrucibleSocket.isAuthority()) return;
+
+    try {
+      await this.onPlayerLeft(user);
+    } catch (error) {
+      console.error("Crucible of Fate | Error adjusting pools for attendance:", error);
+      ui.notifications.error(error.message);
+    }
+  },
+
+  /**
+   * A player joined: ask them to seed their die instead of adding one to a pool
+   * @param {User} user - Joining player
+   * @returns {Promise<void>}
+   */
+  async onPlayerJoined(user) {
+    const state = CrucibleState.getState();
+
+    // Mid-ritual joiners are simply added to the ritual
+    if (state.ritual?.active) {
+      const newState = await CrucibleState.updateState(current => {
+        const ritual = current.ritual;
+        if (!ritual?.active || ritual.entries[user.id]) return null;
+        ritual.expected.push(user.id);
+        ritual.entries[user.id] = { status: "pending", value: null, source: null };
+        return { ritual };
+      }, { action: "playerJoined", userId: user.id });
+
+      CrucibleSocket.broadcastStateUpdate(newState);
+      if (newState.ritual?.entries[user.id]?.status === "pending") {
+        CrucibleRitual.reprompt(user.id);
+      }
+      return;
+    }
+
+    // Players skipped in the last ritual wait for the next one
+    if (state.overrideEnabled || state.skippedPlayers.includes(user.id)) return;
+
+    let added = false;
+    const newState = await CrucibleState.updateState(current => {
+      if (current.overrideEnabled || current.pendingSeeds.includes(user.id)) return null;
+      added = true;
+      return {
+        pendingSeeds: [...current.pendingSeeds, user.id],
+        seededPlayers: current.seededPlayers.filter(id => id !== user.id)
+      };
+    }, { action: "playerJoined", userId: user.id });
+
+    if (!added) return;
+
+    CrucibleSocket.broadcastStateUpdate(newState);
+    CrucibleRitual.reprompt(user.id);
+    await this._announce(game.i18n.format("crucible.attendance.joined", { name: Handlebars.escapeExpression(user.name) }));
+  },
+
+  /**
+   * A player left: remove one die according to the departure policy
+   * @param {User} user - Departing player
+   * @returns {Promise<void>}
+   */
+  async onPlayerLeft(user) {
+    const state = CrucibleState.getState();
+
+    // The ritual tracker shows them as disconnected; the GM decides there
+    if (state.ritual?.active) return;
+
+    // They never received a die
+    if (state.pendingSeeds.includes(user.id)) {
+      const newState = await CrucibleState.updateState(current => ({
+        pendingSeeds: current.pendingSeeds.filter(id => id !== user.id)
+      }), { action: "playerLeft", userId: user.id });
+
+      CrucibleSocket.broadcastStateUpdate(newState);
+      await this._announce(game.i18n.format("crucible.attendance.leftUnseeded", { name: Handlebars.escapeExpression(user.name) }));
+      return;
+    }
+
+    if (state.overrideEnabled) return;
+
+    const policy = game.settings.get("crucible-of-fate", "departurePolicy");
+    const preferred = policy === "ask"
+      ? await this.askRemovalPool(user)
+      : (policy === "gmFirst" ? "gm" : "player");
+
+    let removedFrom = null;
+    const newState = await CrucibleState.updateState(current => {
+      if (current.overrideEnabled) return null;
+
+      // A die they armed goes back to the Player Pool first
+      const armed = { ...current.armed };
+      let playerPoolCount = current.playerPoolCount;
+      if (armed[user.id]) {
+        delete armed[user.id];
+        playerPoolCount += 1;
+      }
+
+      const total = playerPoolCount + current.gmPoolCount;
+      if (total <= CrucibleState.getTargetDiceCount(current) - CrucibleState.getArmedCount({ armed })) return null;
+
+      // Fall back to the other pool if the preferred one is empty
+      const fromGm = preferred === "gm" ? current.gmPoolCount > 0 : playerPoolCount < 1;
+      removedFrom = fromGm ? "gm" : "player";
+      return {
+        playerPoolCount: playerPoolCount - (fromGm ? 0 : 1),
+        gmPoolCount: current.gmPoolCount - (fromGm ? 1 : 0),
+        seededPlayers: current.seededPlayers.filter(id => id !== user.id),
+        armed: armed
+      };
+    }, {
+      action: "playerLeft",
+      userId: user.id,
+      details: { policy }
+    });
+
+    if (!removedFrom) return;
+
+    CrucibleSocket.broadcastStateUpdate(newState);
+    await this._announce(game.i18n.format(
+      removedFrom === "gm" ? "crucible.attendance.leftGm" : "crucible.attendance.leftPlayer",
+      { name: Handlebars.escapeExpression(user.name) }
+    ));
+  },
+
+  /**
+   * Announce a late joiner's seed result
+   * @param {string} userId - User ID
+   * @param {number} result - Seed result
+   * @returns {Promise<void>}
+   */
+  async announceLateSeed(userId, result) {
+    const name = Handlebars.escapeExpression(game.users.get(userId)?.name ?? "");
+    await this._announce(game.i18n.format(
+      CrucibleRules.seedPool(result) === "gm" ? "crucible.attendance.seededGm" : "crucible.attendance.seededPlayer",
+      { name, result }
+    ), {
+      seedResults: { [userId]: { result, source: "late" } }
+    });
+  },
+
+  /**
+   * Ask the GM which pool loses a die
+   * @param {User} user - Departing player
+   * @returns {Promise<string>} "player" or "gm"
+   */
+  async askRemovalPool(user) {
+    const state = CrucibleState.getState();
+    return await Dialog.wait({
+      title: game.i18n.localize("crucible.attendance.askTitle"),
+      content: `<p>${game.i18n.format("crucible.attendance.askContent", { name: Handlebars.escapeExpression(user.name) })}</p>`,
+      buttons: {
+        player: {
+          icon: '<i class="fas fa-users"></i>',
+          label: `${game.i18n.localize("crucible.playerPool")} (${state.playerPoolCount})`,
+          callback: () => "player"
+        },
+        gm: {
+          icon: '<i class="fas fa-user-shield"></i>',
+          label: `${game.i18n.localize("crucible.gmPool")} (${state.gmPoolCount})`,
+          callback: () => "gm"
+        }
+      },
+      default: "player",
+      close: () => "player"
+    });
+  },
+
+  /**
+   * Post a public Crucible chat message
+   * @param {string} text - Message text
+   * @param {Object} [flags] - Module flags to store on the message
+   * @returns {Promise<ChatMessage>}
+   */
+  async _announce(text, flags = {}) {
+    return await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker(),
+      content: `<div class="crucible-chat-message">${text}</div>`,
+      flags: { "crucible-of-fate": flags }
+    });
+  }
+};
@@ -0,0 +1,183 @@
+/**
+ * Crucible of Fate - Audit Log
+ * GM-only record of every pool mutation
+ *
+ * Entries are kept in the flags of a journal entry only GMs can see, so the
+ * log is not synced to players with every pool change.
+ */
+
+/**
+ * Maximum number of entries kept in the log (oldest are dropped first)
+ */
+const MAX_ENTRIES = 1000;
+
+/**
+ * Pool fields captured in each entry's before/after snapshot
+ */
+const TRACKED_FIELDS = ["playerPoolCount", "gmPoolCount", "overrideEnabled"];
+
+/**
+ * Flag marking the journal entry that holds the log
+ */
+const JOURNAL_FLAG = "auditLog";
+
+export const CrucibleAuditLog = {
+  /**
+   * Get all recorded entries, oldest first
+   * @returns {Array<Object>} Audit log entries
+   */
+  getEntries() {
+    return this.getJournal()?.getFlag("crucible-of-fate", "entries") ?? [];
+  },
+
+  /**
+   * Find the journal entry holding the log
+   * @returns {JournalEntry|null} Log journal, or null if nothing was recorded yet (or for players)
+   */
+  getJournal() {
+    return game.journal.find(journal => journal.getFlag("crucible-of-fate", JOURNAL_FLAG)) ?? null;
+  },
+
+  /**
+   * Check if a journal entry is the one holding the log
+   * @param {JournalEntry} journal - Journal entry
+   * @returns {boolean} True for the log journal
+   */
+  isJournal(journal) {
+    return !!journal.getFlag("crucible-of-fate", JOURNAL_FLAG);
+  },
+
+  /**
+   * Replace the stored entries, creating the journal on first use (GM-only)
+   * @param {Array<Object>} entries - Entries to store
+   * @returns {Promise<void>}
+   */
+  async _write(entries) {
+    const journal = this.getJournal();
+    if (journal) {
+      await journal.setFlag("crucible-of-fate", "entries", entries);
+      return;
+    }
+
+    await JournalEntry.create({
+      name: game.i18n.localize("crucible.audit.title"),
+      ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE },
+      flags: { "crucible-of-fate": { [JOURNAL_FLAG]: true, entries: entries } }
+    });
+  },
+
+  /**
+   * Move entries from the pre-journal world setting into the journal (GM-only)
+   * @returns {Promise<boolean>} True if entries were moved
+   */
+  async migrate() {
+    if (!game.user.isGM) return false;
+
+    const legacy = game.settings.get("crucible-of-fate", "auditLog") || [];
+    if (!legacy.length) return false;
+
+    await this._write([...legacy, ...this.getEntries()].slice(-MAX_ENTRIES));
+    await game.settings.set("crucible-of-fate", "auditLog", []);
+    console.log(`Crucible of Fate | Moved ${legacy.length} audit log entries to a journal entry`);
+    return true;
+  },
+
+  /**
+   * Record a state mutation (GM-only)
+   * @param {Object} entry - Entry data
+   * @param {string} entry.action - Action identifier (seed, augment, move, ...)
+   * @param {string} [entry.userId] - User who caused the mutation
+   * @param {Object} entry.before - State before the mutation
+   * @param {Object} entry.after - State after the mutation
+   * @param {string} [entry.messageId] - Linked chat message ID
+   * @param {Object} [entry.details] - Extra action-specific data
+   * @returns {Promise<Object|null>} Recorded entry
+   */
+  async record({ action, userId, before, after, messageId = null, details = {} }) {
+    if (!game.user.isGM) return null;
+
+    const user = game.users.get(userId ?? game.user.id);
+    const entry = {
+      id: foundry.utils.randomID(),
+      timestamp: new Date().toISOString(),
+      action: action,
+      userId: user?.id ?? null,
+      userName: user?.name ?? "",
+      before: this._snapshot(before),
+      after: this._snapshot(after),
+      delta: {
+        playerPoolCount: after.playerPoolCount - before.playerPoolCount,
+        gmPoolCount: after.gmPoolCount - before.gmPoolCount
+      },
+      messageId: messageId,
+      details: details
+    };
+
+    await this._write([...this.getEntries(), entry].slice(-MAX_ENTRIES));
+    return entry;
+  },
+
+  /**
+   * Remove all entries (GM-only)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can clear the audit log");
+    }
+    await this._write([]);
+  },
+
+  /**
+   * Serialize entries as JSON
+   * @param {Array<Object>} entries - Entries to export
+   * @returns {string} JSON text
+   */
+  toJSON(entries) {
+    return JSON.stringify(entries, null, 2);
+  },
+
+  /**
+   * Serialize entries as CSV
+   * @param {Array<Object>} entries - Entries to export
+   * @returns {string} CSV text
+   */
+  toCSV(entries) {
+    const header = [
+      "timestamp", "action", "user",
+      "playerBefore", "playerAfter", "gmBefore", "gmAfter",
+      "overrideBefore", "overrideAfter", "messageId", "details"
+    ];
+    const rows = entries.map(e => [
+      e.timestamp, e.action, e.userName,
+      e.before.playerPoolCount, e.after.playerPoolCount,
+      e.before.gmPoolCount, e.after.gmPoolCount,
+      e.before.overrideEnabled, e.after.overrideEnabled,
+      e.messageId ?? "", JSON.stringify(e.details ?? {})
+    ]);
+    return [header, ...rows].map(row => row.map(this._csvCell).join(",")).join("\n");
+  },
+
+  /**
+   * Pick the tracked fields from a state object
+   * @param {Object} state - State object
+   * @returns {Object} Snapshot
+   */
+  _snapshot(state) {
+    const snapshot = {};
+    for (const key of TRACKED_FIELDS) {
+      snapshot[key] = state[key];
+    }
+    return snapshot;
+  },
+
+  /**
+   * Escape a value for CSV output
+   * @param {*} value - Cell value
+   * @returns {string} Escaped cell
+   */
+  _csvCell(value) {
+    const text = String(value ?? "");
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+};
@@ -0,0 +1,291 @@
+/**
+ * Crucible of Fate - Chat Commands
+ * The /crucible command family, with Tab completion in the chat input
+ */
+
+import { CrucibleState } from "./state.js";
+import { CrucibleActions, MoveDirection } from "./actions.js";
+import { RollAugmentation } from "./rollAugmentation.js";
+import { CrucibleError, CrucibleErrorCode } from "./errors.js";
+import { SeedRitualManager } from "./ui/seedModal.js";
+
+/**
+ * Subcommands: whether they are GM-only, and the completions for each argument
+ */
+const COMMANDS = {
+  help: { gm: false, args: [] },
+  status: { gm: false, args: [] },
+  augment: { gm: false, args: [] },
+  lend: { gm: false, args: [] },
+  move: { gm: true, args: [[], ["to-gm", "to-players"]] },
+  spend: { gm: true, args: [["--silent", "--no-transfer"], ["--silent", "--no-transfer"]] },
+  ritual: { gm: true, args: [["start"]] },
+  override: { gm: true, args: [["on", "off"]] }
+};
+
+export const CrucibleChatCommands = {
+  /**
+   * Register the chat command and input completion hooks
+   */
+  register() {
+    Hooks.on("chatMessage", (chatLog, message) => {
+      if (!/^\/crucible(\s|$)/i.test(message.trim())) return true;
+
+      this.execute(message.trim().split(/\s+/).slice(1));
+      return false;
+    });
+
+    Hooks.on("renderChatLog", (app, html) => {
+      html.find("#chat-message").on("keydown", event => {
+        if (event.key !== "Tab" || !/^\/crucible\s/i.test(event.currentTarget.value)) return;
+        event.preventDefault();
+        event.stopPropagation();
+        this.complete(event.currentTarget);
+      });
+    });
+  },
+
+  /**
+   * Get the subcommands available to the current user
+   * @returns {string[]} Subcommand names
+   */
+  getAvailable() {
+    return Object.keys(COMMANDS).filter(name => game.user.isGM || !COMMANDS[name].gm);
+  },
+
+  /**
+   * Run a /crucible subcommand; failures are whispered back to the user
+   * @param {string[]} args - Words after "/crucible"
+   * @returns {Promise<void>}
+   */
+  async execute(args) {
+    const [name = "help", ...rest] = args;
+    const command = name.toLowerCase();
+
+    try {
+      if (!COMMANDS[command]) {
+        throw new Error(game.i18n.format("crucible.commands.unknown", { command: foundry.utils.escapeHTML(name) }));
+      }
+      if (COMMANDS[command].gm && !game.user.isGM) {
+        throw new CrucibleError(CrucibleErrorCode.GM_ONLY);
+      }
+
+      switch (command) {
+        case "help":
+          return await this._whisper(this._formatHelp());
+        case "status":
+          return await this._whisper(this._formatStatus());
+        case "augment":
+          return await this._augment(rest);
+        case "lend":
+          return await this._lend(rest);
+        case "move":
+          return await this._move(rest);
+        case "spend":
+          return await this._spend(rest);
+        case "ritual":
+          return await this._ritual(rest);
+        case "override":
+          return await this._override(rest);
+      }
+    } catch (error) {
+      // execute() is not awaited by the chat hook, so a failing whisper must not escape
+      try {
+        await this._whisper(error.message, true);
+      } catch {
+        ui.notifications.error(error.message);
+      }
+    }
+  },
+
+  /**
+   * /crucible move <n> <to-gm|to-players>
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<void>}
+   */
+  async _move([amount, target] = []) {
+    const directions = { "to-gm": MoveDirection.PLAYER_TO_GM, "to-players": MoveDirection.GM_TO_PLAYER };
+    if (!directions[target?.toLowerCase()]) {
+      throw new Error(game.i18n.format("crucible.commands.usage", { usage: this._usage("move") }));
+    }
+
+    const state = await CrucibleActions.moveDice(directions[target.toLowerCase()], Number(amount));
+    await this._whisper(this._formatStatus(state));
+  },
+
+  /**
+   * /crucible spend [--silent] [--no-transfer]
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<void>}
+   */
+  async _spend(args = []) {
+    const flags = args.map(arg => arg.toLowerCase());
+    const unknown = flags.find(flag => !COMMANDS.spend.args[0].includes(flag));
+    if (unknown) {
+      throw new Error(game.i18n.format("crucible.commands.usage", { usage: this._usage("spend") }));
+    }
+
+    await CrucibleActions.rollGmDie({
+      silent: flags.includes("--silent"),
+      transfer: flags.includes("--no-transfer") ? false : undefined
+    });
+  },
+
+  /**
+   * /crucible augment - players augment their latest eligible roll; a GM may name a player
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<void>}
+   */
+  async _augment(args = []) {
+    if (!game.user.isGM) {
+      const message = RollAugmentation.findMostRecentRoll(game.user.id);
+      if (!message) {
+        throw new CrucibleError(CrucibleErrorCode.MESSAGE_NOT_FOUND);
+      }
+      await RollAugmentation.processAugment(message.id);
+      return;
+    }
+
+    const name = args.join(" ");
+    const user = game.users.find(u => u.name.toLowerCase() === name.toLowerCase());
+    if (!user) {
+      throw new CrucibleError(CrucibleErrorCode.USER_NOT_FOUND);
+    }
+    const message = RollAugmentation.findMostRecentRoll(user.id);
+    if (!message) {
+      throw new CrucibleError(CrucibleErrorCode.MESSAGE_NOT_FOUND);
+    }
+    await RollAugmentation.handleAugmentRequest(user.id, message.id);
+  },
+
+  /**
+   * /crucible lend <player> - add Crucible dice to another player's latest eligible roll
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<void>}
+   */
+  async _lend(args = []) {
+    const name = args.join(" ");
+    const user = game.users.find(u => u.name.toLowerCase() === name.toLowerCase());
+    if (!user) {
+      throw new CrucibleError(CrucibleErrorCode.USER_NOT_FOUND);
+    }
+    const message = RollAugmentation.findMostRecentRoll(user.id);
+    if (!message) {
+      throw new CrucibleError(CrucibleErrorCode.MESSAGE_NOT_FOUND);
+    }
+    await RollAugmentation.processAugment(message.id);
+  },
+
+  /**
+   * /crucible ritual start
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<void>}
+   */
+  async _ritual([action] = []) {
+    if (action?.toLowerCase() !== "start") {
+      throw new Error(game.i18n.format("crucible.commands.usage", { usage: this._usage("ritual") }));
+    }
+    // Through the manager, so the tracker opens and a GM who also plays gets a seed modal
+    await new SeedRitualManager().start();
+  },
+
+  /**
+   * /crucible override on|off
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<void>}
+   */
+  async _override([value] = []) {
+    const enabled = { on: true, off: false }[value?.toLowerCase()];
+    if (enabled === undefined) {
+      throw new Error(game.i18n.format("crucible.commands.usage", { usage: this._usage("override") }));
+    }
+
+    const state = await CrucibleActions.setOverride(enabled);
+    await this._whisper(this._formatStatus(state));
+  },
+
+  /**
+   * Complete the word under the cursor in the chat input
+   * A single match is filled in; several are listed in a notification.
+   * @param {HTMLTextAreaElement} input - Chat input
+   */
+  complete(input) {
+    const words = input.value.split(/\s+/);
+    const partial = words[words.length - 1].toLowerCase();
+    const position = words.length - 1;
+
+    let options = [];
+    if (position === 1) {
+      options = this.getAvailable();
+    } else if (words[1]?.toLowerCase() === "augment" && game.user.isGM) {
+      options = game.users.filter(u => !u.isGM).map(u => u.name);
+    } else if (words[1]?.toLowerCase() === "lend") {
+      options = game.users.filter(u => !u.isGM && u.id !== game.user.id).map(u => u.name);
+    } else {
+      options = COMMANDS[words[1]?.toLowerCase()]?.args[position - 2] ?? [];
+    }
+
+    const matches = options.filter(option => option.toLowerCase().startsWith(partial));
+    if (matches.length === 1) {
+      words[words.length - 1] = matches[0];
+      input.value = `${words.join(" ")} `;
+    } else if (matches.length > 1) {
+      ui.notifications.info(matches.join(", "));
+    } else if (position === 1) {
+      ui.notifications.info(game.i18n.localize("crucible.commands.tryHelp"));
+    }
+  },
+
+  /**
+   * Usage line for a subcommand
+   * @param {string} name - Subcommand
+   * @returns {string} Localized usage
+   */
+  _usage(name) {
+    return game.i18n.localize(`crucible.commands.help.${name}`);
+  },
+
+  /**
+   * Build the help text for the current user
+   * @returns {string} HTML
+   */
+  _formatHelp() {
+    const lines = this.getAvailable().map(name => `<li>${this._usage(name)}</li>`);
+    return `<strong>${game.i18n.localize("crucible.commands.helpTitle")}</strong><ul>${lines.join("")}</ul>`;
+  },
+
+  /**
+   * Build the status text
+   * @param {Object} [state] - State to describe (defaults to current state)
+   * @returns {string} HTML
+   */
+  _formatStatus(state = CrucibleState.getState()) {
+    const lines = [
+      `${game.i18n.localize("crucible.playerPool")}: ${state.playerPoolCount}`,
+      `${game.i18n.localize("crucible.gmPool")}: ${state.gmPoolCount}`,
+      `${game.i18n.localize("crucible.total")}: ${state.playerPoolCount + state.gmPoolCount + CrucibleState.getArmedCount(state)}`,
+      game.i18n.localize(state.overrideEnabled ? "crucible.override.enabled" : "crucible.override.disabled")
+    ];
+    if (CrucibleState.getArmedCount(state)) {
+      lines.push(game.i18n.format("crucible.arming.count", { count: CrucibleState.getArmedCount(state) }));
+    }
+    if (state.ritual?.active) {
+      lines.push(game.i18n.localize("crucible.commands.ritualActive"));
+    }
+    return lines.join("<br>");
+  },
+
+  /**
+   * Whisper command output to the current user
+   * @param {string} content - HTML content
+   * @param {boolean} [isError] - Style as an error
+   * @returns {Promise<ChatMessage>}
+   */
+  async _whisper(content, isError = false) {
+    return await ChatMessage.create({
+      speaker: { alias: game.i18n.localize("crucible.title") },
+      content: `<div class="crucible-chat-message${isError ? " crucible-command-error" : ""}">${content}</div>`,
+      whisper: [game.user.id]
+    });
+  }
+};
@@ -0,0 +1,227 @@
+/**
+ * Crucible of Fate - Counter-Spends
+ * An optional window after a player augment in which the GM may answer it by
+ * spending a GM die against the same roll
+ */
+
+import { CrucibleState } from "./state.js";
+import { CrucibleSocket } from "./socket.js";
+import { CrucibleAuditLog } from "./auditLog.js";
+import { CrucibleRules } from "./rules.js";
+import { CrucibleDice, CrucibleColorset } from "./dice.js";
+import { RollClassifiers } from "./rollClassifiers.js";
+import { RollAugmentation } from "./rollAugmentation.js";
+import { CrucibleError, CrucibleErrorCode } from "./errors.js";
+
+export const CrucibleCounterSpend = {
+  /**
+   * Open reaction windows, keyed by the ID of the contribution they answer
+   */
+  windows: new Map(),
+
+  /**
+   * Length of the reaction window
+   * @returns {number} Seconds, 0 if counter-spends are off
+   */
+  getWindowSeconds() {
+    return Math.max(Number(game.settings.get("crucible-of-fate", "counterSpendWindow")) || 0, 0);
+  },
+
+  /**
+   * Open a reaction window for an augment that just resolved (GM-only)
+   * Nothing opens when counter-spends are off or the GM Pool is empty.
+   * @param {ChatMessage} message - Augmented roll
+   * @param {Object} augment - Data from the crucible.augment hook ({ userId, result, contributionId })
+   * @returns {Object|null} { id, rollMessageId, userId, result, deadline }
+   * @fires crucible.counterWindowsChanged
+   */
+  open(message, { userId, result, contributionId }) {
+    const seconds = this.getWindowSeconds();
+    if (!game.user.isGM || !seconds || !contributionId) return null;
+    if (CrucibleState.getState().gmPoolCount < 1) return null;
+
+    const window = {
+      id: contributionId,
+      rollMessageId: message.id,
+      userId: userId,
+      result: result,
+      deadline: new Date(Date.now() + seconds * 1000).toISOString(),
+      timer: setTimeout(() => this.close(contributionId), seconds * 1000)
+    };
+    this.windows.set(contributionId, window);
+    Hooks.callAll("crucible.counterWindowsChanged");
+    return window;
+  },
+
+  /**
+   * Close a reaction window without spending
+   * @param {string} id - Window ID
+   * @fires crucible.counterWindowsChanged
+   */
+  close(id) {
+    const window = this.windows.get(id);
+    if (!window) return;
+
+    clearTimeout(window.timer);
+    this.windows.delete(id);
+    Hooks.callAll("crucible.counterWindowsChanged");
+  },
+
+  /**
+   * Describe the open windows for display, oldest first
+   * @returns {Array<Object>} { id, userName, label, actor, total, result, deadline }
+   */
+  getEntries() {
+    return [...this.windows.values()].map(window => {
+      const message = game.messages.get(window.rollMessageId);
+      return {
+        id: window.id,
+        userName: game.users.get(window.userId)?.name ?? window.userId,
+        ...(message ? RollAugmentation.describeRoll(message) : { label: "", actor: "", total: "" }),
+        result: window.result,
+        deadline: window.deadline
+      };
+    });
+  },
+
+  /**
+   * Spend a GM die against an augmented roll while its window is open (GM-only)
+   * The die comes off the roll's total, or imposes a homebrew effect instead, and
+   * is listed on the roll's augment card. It moves by the rules for GM spends.
+   * @param {string} id - Window ID
+   * @param {Object} [options]
+   * @param {string} [options.label] - Homebrew effect to impose instead of taking the die off the total
+   * @returns {Promise<Object>} { result, state }
+   * @fires crucible.counterSpend - (message, { result, label, subtract })
+   */
+  async spend(id, { label = null } = {}) {
+    if (!game.user.isGM) {
+      throw new CrucibleError(CrucibleErrorCode.GM_ONLY);
+    }
+
+    const window = this.windows.get(id);
+    if (!window) {
+      throw new CrucibleError(CrucibleErrorCode.COUNTER_CLOSED);
+    }
+
+    const message = game.messages.get(window.rollMessageId);
+    if (!message) {
+      throw new CrucibleError(CrucibleErrorCode.MESSAGE_NOT_FOUND);
+    }
+    const answered = RollAugmentation.getContributions(message).find(c => c.id === id);
+    if (!answered) {
+      throw new CrucibleError(CrucibleErrorCode.COUNTER_CLOSED);
+    }
+
+    const state = CrucibleState.getState();
+    if (state.gmPoolCount < 1) {
+      throw new Error(game.i18n.localize("crucible.moveDice.error.insufficientDice"));
+    }
+
+    // Only one answer per augment; the window stays open for a retry if the spend fails
+    if (window.spending) {
+      throw new CrucibleError(CrucibleErrorCode.COUNTER_CLOSED);
+    }
+    window.spending = true;
+
+    let result;
+    let subtract;
+    let newState = state;
+    try {
+      const rules = CrucibleRules.get();
+      const transfer = rules.gmSpendDestination === "player";
+      const before = RollAugmentation.getTotal(message);
+      const target = RollClassifiers.getTarget(message);
+
+      const roll = await CrucibleDice.roll(CrucibleRules.formula(1), CrucibleColorset.GM);
+      result = roll.total;
+      const dice = roll.dice[0].results.map(r => r.result);
+      subtract = !label;
+      const after = before !== null && subtract ? before - result : before;
+
+      // Shown where the augment is shown: folded into the roll, or on its card
+      const counter = {
+        id: foundry.utils.randomID(),
+        userId: game.user.id,
+        dice: 1,
+        results: dice,
+        result: result,
+        roll: JSON.stringify(roll),
+        flipped: target !== null && before !== null ? before >= target && after < target : null,
+        pool: rules.gmSpendDestination,
+        lent: false,
+        inPlace: answered.inPlace && (!subtract || RollAugmentation.canApplyInPlace(message)),
+        armed: false,
+        narration: "",
+        counter: id,
+        subtract: subtract,
+        label: label,
+        originalRoll: null,
+        originalContent: null,
+        revoked: false
+      };
+      const cardId = counter.inPlace ? null : RollAugmentation.getCardId(message);
+
+      const details = {
+        rollMessageId: message.id,
+        contributionId: counter.id,
+        counters: id,
+        result,
+        dice,
+        label,
+        transfer,
+        flipped: counter.flipped
+      };
+
+      // Pools first, so a refused spend leaves the roll untouched.
+      // Spent without transfer: nothing moves, but the die is still logged
+      if (transfer) {
+        newState = await CrucibleState.updateState(current => {
+          if (current.gmPoolCount < 1) {
+            throw new Error(game.i18n.localize("crucible.moveDice.error.insufficientDice"));
+          }
+          return {
+            gmPoolCount: current.gmPoolCount - 1,
+            playerPoolCount: current.playerPoolCount + 1
+          };
+        }, {
+          action: "counterSpend",
+          messageId: cardId ?? message.id,
+          details: details
+        });
+        CrucibleSocket.broadcastStateUpdate(newState);
+      } else {
+        await CrucibleAuditLog.record({
+          action: "counterSpend",
+          before: state,
+          after: state,
+          messageId: cardId ?? message.id,
+          details: details
+        });
+      }
+
+      // A new card shows the die itself when it is posted
+      if (!cardId || game.messages.has(cardId)) {
+        await CrucibleDice.show(roll);
+      }
+      if (counter.inPlace && subtract) {
+        const original = await RollAugmentation.applyInPlace(message, dice, { subtract: true });
+        counter.originalRoll = original.roll;
+        counter.originalContent = original.content;
+      }
+
+      const contributions = [...foundry.utils.deepClone(RollAugmentation.getContributions(message, { revoked: true })), counter];
+      await RollAugmentation.setContributions(message, contributions);
+      if (!counter.inPlace) {
+        await RollAugmentation.updateCard(message, { id: cardId });
+      }
+    } catch (error) {
+      window.spending = false;
+      throw error;
+    }
+
+    this.close(id);
+    Hooks.callAll("crucible.counterSpend", message, { result, label, subtract });
+    return { result, state: newState };
+  }
+};
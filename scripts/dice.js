@@ -0,0 +1,106 @@
+/**
+ * Crucible of Fate - Dice
+ * Rolls Crucible dice in their own Dice So Nice colorsets and builds roll chat cards;
+ * without Dice So Nice the rolls fall back to Foundry's usual roll cards and sound
+ */
+
+/**
+ * Dice So Nice colorsets for dice owned by each side
+ */
+export const CrucibleColorset = {
+  PLAYER: "crucible-player",
+  GM: "crucible-gm"
+};
+
+export const CrucibleDice = {
+  /**
+   * Check if Dice So Nice is installed, enabled and ready
+   * @returns {boolean} True if 3D dice can be shown
+   */
+  isDiceSoNiceActive() {
+    return !!game.modules.get("dice-so-nice")?.active && !!game.dice3d;
+  },
+
+  /**
+   * Add the Crucible colorsets to Dice So Nice (called from the diceSoNiceReady hook)
+   * @param {Object} dice3d - Dice So Nice API
+   */
+  registerColorsets(dice3d) {
+    dice3d.addColorset({
+      name: CrucibleColorset.PLAYER,
+      description: "Crucible of Fate (Players)",
+      category: "Crucible of Fate",
+      foreground: "#fff4d6",
+      background: "#b8561c",
+      outline: "#3b1a06",
+      edge: "#8a3a0e",
+      texture: "fire",
+      material: "metal"
+    }, "default");
+
+    dice3d.addColorset({
+      name: CrucibleColorset.GM,
+      description: "Crucible of Fate (GM)",
+      category: "Crucible of Fate",
+      foreground: "#e8e0ff",
+      background: "#2a1840",
+      outline: "#0c0614",
+      edge: "#4b2d70",
+      texture: "marble",
+      material: "metal"
+    }, "default");
+  },
+
+  /**
+   * Evaluate a roll with every die term in a Crucible colorset
+   * @param {string} formula - Roll formula
+   * @param {string} colorset - One of CrucibleColorset
+   * @returns {Promise<Roll>} Evaluated roll
+   */
+  async roll(formula, colorset) {
+    const roll = new Roll(formula);
+    for (const term of roll.dice) {
+      term.options.colorset = colorset;
+    }
+    await roll.roll();
+    return roll;
+  },
+
+  /**
+   * Show a roll that is not posted as its own chat message as 3D dice
+   * Resolves once the animation ends; does nothing without Dice So Nice.
+   * @param {Roll} roll - Evaluated roll
+   * @param {Object} [options]
+   * @param {User} [options.user] - User the dice are shown for (defaults to the current user)
+   * @param {string[]} [options.whisper] - User IDs to show the dice to (everyone if omitted)
+   * @returns {Promise<void>}
+   */
+  async show(roll, { user = game.user, whisper = null } = {}) {
+    if (!this.isDiceSoNiceActive()) return;
+    await game.dice3d.showForRoll(roll, user, true, whisper);
+  },
+
+  /**
+   * Chat message data that turns a Crucible card into a roll card
+   * The roll's tooltip breakdown is appended to the content, and Dice So Nice
+   * animates the roll when the message is created.
+   * @param {Roll|Roll[]} roll - Evaluated roll, or several rolls shown on one card
+   * @param {string} content - Card HTML
+   * @returns {Promise<Object>} Partial ChatMessage data ({ content, rolls, sound, ... })
+   */
+  async messageData(roll, content) {
+    const rolls = [].concat(roll);
+    const rendered = await Promise.all(rolls.map(r => r.render()));
+    const data = {
+      content: `${content}${rendered.join("")}`,
+      rolls: rolls,
+      sound: CONFIG.sounds.dice
+    };
+
+    // v11 only treats messages of the ROLL type as rolls
+    if (!CONST.CHAT_MESSAGE_STYLES) {
+      data.type = CONST.CHAT_MESSAGE_TYPES.ROLL;
+    }
+    return data;
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * Crucible of Fate - Errors
+ * Typed errors that can travel over the socket and be localized on the receiving client
+ */
+
+/**
+ * Error codes used in socket responses; each has a message under crucible.errors.<code>
+ */
+export const CrucibleErrorCode = {
+  PLAYER_POOL_EMPTY: "playerPoolEmpty",
+  ALREADY_AUGMENTED: "alreadyAugmented",
+  NOT_MOST_RECENT: "notMostRecent",
+  INVALID_ROLL: "invalidRoll",
+  NOT_OWNER: "notOwner",
+  MESSAGE_NOT_FOUND: "messageNotFound",
+  USER_NOT_FOUND: "userNotFound",
+  ALREADY_SEEDED: "alreadySeeded",
+  INVALID_SEED: "invalidSeed",
+  NO_RITUAL: "noRitual",
+  ALREADY_ARMED: "alreadyArmed",
+  NOT_ARMED: "notArmed",
+  ARMING_DISABLED: "armingDisabled",
+  DECLARATION_REQUIRED: "declarationRequired",
+  VETOED: "vetoed",
+  GM_ONLY: "gmOnly",
+  PLAYER_ONLY: "playerOnly",
+  DENIED: "denied",
+  COUNTER_CLOSED: "counterClosed",
+  SESSION_ACTIVE: "sessionActive",
+  NO_SESSION: "noSession",
+  TIMEOUT: "timeout",
+  AUTHORITY_CHANGED: "authorityChanged",
+  APPROVAL_EXPIRED: "approvalExpired",
+  HISTORY_CONFLICT: "historyConflict",
+  NO_GM: "noGm",
+  UNKNOWN: "unknown"
+};
+
+export class CrucibleError extends Error {
+  /**
+   * @param {string} code - One of CrucibleErrorCode
+   * @param {string} [message] - Override for the localized message
+   * @param {Object} [params] - Values for the localized message's placeholders (sent over the socket)
+   */
+  constructor(code, message, params = {}) {
+    super(message ?? CrucibleError.localize(code, params));
+    this.name = "CrucibleError";
+    this.code = code;
+    this.params = params;
+  }
+
+  /**
+   * Localize an error code on the current client
+   * @param {string} code - Error code
+   * @param {Object} [params] - Placeholder values
+   * @returns {string} Localized message
+   */
+  static localize(code, params = {}) {
+    const key = `crucible.errors.${code}`;
+    return game.i18n.has(key) ? game.i18n.format(key, params) : game.i18n.localize("crucible.errors.unknown");
+  }
+
+  /**
+   * Rebuild an error from a socket response
+   * @param {Object} error - Serialized error ({ code, params })
+   * @returns {CrucibleError} Error localized for this client
+   */
+  static fromResponse(error) {
+    return new CrucibleError(error?.code ?? CrucibleErrorCode.UNKNOWN, undefined, error?.params ?? {});
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Crucible of Fate - Undo/Redo History
+ * Client-side stack of state mutations made by this GM
+ *
+ * Other clients keep writing while a step sits on the stack, so undo and redo
+ * apply the step's change to the current state rather than restoring a snapshot.
+ */
+
+import { CrucibleState } from "./state.js";
+import { CrucibleSocket } from "./socket.js";
+import { RollAugmentation } from "./rollAugmentation.js";
+import { CrucibleError, CrucibleErrorCode } from "./errors.js";
+
+/**
+ * Maximum number of undoable steps kept in memory
+ */
+const MAX_STEPS = 50;
+
+/**
+ * State fields restored by undo/redo
+ */
+const RESTORED_FIELDS = ["playerPoolCount", "gmPoolCount", "overrideEnabled", "seededPlayers", "lastSeededAt", "ritual", "pendingSeeds", "skippedPlayers", "armed", "session"];
+
+/**
+ * Fields undone by adding the difference back; the others must be unchanged since the step
+ */
+const COUNTED_FIELDS = ["playerPoolCount", "gmPoolCount"];
+
+export const CrucibleHistory = {
+  undoStack: [],
+  redoStack: [],
+
+  /**
+   * Record a mutation made through CrucibleState.updateState
+   * @param {Object} step - Step data
+   * @param {Object} step.before - State before the mutation
+   * @param {Object} step.after - State after the mutation
+   * @param {Object} step.context - Context passed to updateState
+   */
+  push({ before, after, context }) {
+    const step = {
+      action: context.action ?? "update",
+      before: this._pick(before),
+      after: this._pick(after),
+      messageId: context.messageId ?? null,
+      details: context.details ?? {}
+    };
+
+    // Armed dice rolled as part of the roll stay on it, so undo refunds them to the Player Pool instead of re-arming
+    const armed = before.armed?.[context.userId];
+    if (step.details.undoToPool && armed) {
+      step.before.armed = foundry.utils.deepClone(after.armed);
+      step.before.playerPoolCount += armed.dice ?? 1;
+    }
+
+    this.undoStack.push(step);
+    if (this.undoStack.length > MAX_STEPS) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    Hooks.callAll("crucible.historyChanged");
+  },
+
+  /**
+   * @returns {boolean} True if there is a step to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  },
+
+  /**
+   * @returns {boolean} True if there is a step to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  },
+
+  /**
+   * Revert the most recent step (GM-only)
+   * @returns {Promise<Object|null>} Updated state
+   */
+  async undo() {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can undo Crucible changes");
+    }
+
+    const step = this.undoStack.pop();
+    if (!step) return null;
+
+    const newState = await this._apply(step, step.after, step.before, "undo");
+
+    if (step.action === "augment" || step.action === "counterSpend") {
+      await RollAugmentation.revokeAugment(step.details.rollMessageId, step.messageId, step.details);
+    }
+
+    this.redoStack.push(step);
+    CrucibleSocket.broadcastStateUpdate(newState);
+    Hooks.callAll("crucible.historyChanged");
+    return newState;
+  },
+
+  /**
+   * Re-apply the most recently undone step (GM-only)
+   * @returns {Promise<Object|null>} Updated state
+   */
+  async redo() {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can redo Crucible changes");
+    }
+
+    const step = this.redoStack.pop();
+    if (!step) return null;
+
+    const newState = await this._apply(step, step.before, step.after, "redo");
+
+    if (step.action === "augment" || step.action === "counterSpend") {
+      await RollAugmentation.restoreAugment(step.details.rollMessageId, step.messageId, step.details);
+    }
+
+    this.undoStack.push(step);
+    CrucibleSocket.broadcastStateUpdate(newState);
+    Hooks.callAll("crucible.historyChanged");
+    return newState;
+  },
+
+  /**
+   * Move the state from one side of a step to the other, keeping later changes
+   * A step that can no longer be applied is dropped from the history.
+   * @param {Object} step - History step
+   * @param {Object} from - Snapshot the step is leaving
+   * @param {Object} to - Snapshot the step is returning to
+   * @param {string} action - "undo" or "redo"
+   * @returns {Promise<Object>} Updated state
+   * @throws {CrucibleError} HISTORY_CONFLICT if a later change touched the same fields
+   */
+  async _apply(step, from, to, action) {
+    try {
+      return await CrucibleState.updateState(state => {
+        const changes = {};
+        for (const key of RESTORED_FIELDS) {
+          if (this._equal(from[key], to[key])) continue;
+
+          if (COUNTED_FIELDS.includes(key)) {
+            changes[key] = state[key] + to[key] - from[key];
+            if (changes[key] < 0) {
+              throw new CrucibleError(CrucibleErrorCode.HISTORY_CONFLICT);
+            }
+          } else if (this._equal(state[key], from[key])) {
+            changes[key] = foundry.utils.deepClone(to[key]);
+          } else {
+            throw new CrucibleError(CrucibleErrorCode.HISTORY_CONFLICT);
+          }
+        }
+        return Object.keys(changes).length ? changes : null;
+      }, {
+        action: action,
+        fromHistory: true,
+        details: { step: step.action }
+      });
+    } catch (error) {
+      Hooks.callAll("crucible.historyChanged");
+      throw error;
+    }
+  },
+
+  /**
+   * Compare two snapshot values
+   * @param {*} a - Value
+   * @param {*} b - Value
+   * @returns {boolean} True if both hold the same data
+   */
+  _equal(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  },
+
+  /**
+   * Copy the restorable fields from a state object
+   * @param {Object} state - State object
+   * @returns {Object} Restorable snapshot
+   */
+  _pick(state) {
+    const snapshot = {};
+    for (const key of RESTORED_FIELDS) {
+      snapshot[key] = foundry.utils.deepClone(state[key]);
+    }
+    return snapshot;
+  }
+};
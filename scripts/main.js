@@ -6,8 +6,28 @@
 import { CrucibleState } from "./state.js";
 import { CrucibleSocket } from "./socket.js";
 import { RollAugmentation } from "./rollAugmentation.js";
+import { RollClassifiers } from "./rollClassifiers.js";
+import { CrucibleAPI } from "./api.js";
+import { CrucibleChatCommands } from "./chatCommands.js";
+import { CrucibleRules } from "./rules.js";
+import { CrucibleDice } from "./dice.js";
+import { CrucibleSounds } from "./sounds.js";
+import { RulesConfig } from "./ui/rulesConfig.js";
 import { CruciblePanel } from "./ui/cruciblePanel.js";
+import { CrucibleDock } from "./ui/crucibleDock.js";
 import { SeedRitualManager } from "./ui/seedModal.js";
+import { AuditLogViewer } from "./ui/auditLogViewer.js";
+import { CrucibleAuditLog } from "./auditLog.js";
+import { RitualTracker } from "./ui/ritualTracker.js";
+import { SessionHistory } from "./ui/sessionHistory.js";
+import { StatisticsViewer } from "./ui/statisticsViewer.js";
+import { CrucibleRitual } from "./ritual.js";
+import { CrucibleAttendance } from "./attendance.js";
+import { CrucibleArming } from "./arming.js";
+import { CrucibleApprovals } from "./approvals.js";
+import { ApprovalQueue } from "./ui/approvalQueue.js";
+import { CrucibleCounterSpend } from "./counterSpend.js";
+import { CounterSpendWindow } from "./ui/counterSpendWindow.js";
 
 let seedRitualManager = null;
 
@@ -17,30 +37,83 @@ Hooks.once("init", async () => {
   // Initialize settings
   await CrucibleState.initializeSettings();
 
+  game.settings.registerMenu("crucible-of-fate", "rulesMenu", {
+    name: "crucible.rules.title",
+    label: "crucible.rules.open",
+    hint: "crucible.rules.hint",
+    icon: "fas fa-sliders-h",
+    type: RulesConfig,
+    restricted: true
+  });
+
   // Register socket handlers
   CrucibleSocket.register();
 
-  // Register hooks for GM-specific socket events
-  Hooks.on("crucible.handleSeedResult", async (userId, result) => {
-    await handleSeedResult(userId, result);
+  // Register GM-side handlers for player requests
+  CrucibleSocket.registerRequestHandler("seedResult", handleSeedResult);
+  CrucibleSocket.registerRequestHandler("requestAugment", handleAugmentRequest);
+  CrucibleSocket.registerRequestHandler("armCrucible", userId => CrucibleArming.handleArm(userId));
+  CrucibleSocket.registerRequestHandler("disarmCrucible", userId => CrucibleArming.handleDisarm(userId));
+
+  // Players can arm the Crucible before rolling
+  game.keybindings.register("crucible-of-fate", "toggleArm", {
+    name: "crucible.arming.keybinding",
+    hint: "crucible.arming.keybindingHint",
+    editable: [{ key: "KeyC", modifiers: ["Alt"] }],
+    onDown: () => {
+      if (game.user.isGM || !CrucibleArming.isEnabled()) return false;
+      CrucibleArming.toggle();
+      return true;
+    }
   });
 
-  Hooks.on("crucible.handleAugmentRequest", async (userId, messageId) => {
-    await handleAugmentRequest(userId, messageId);
+  // Public API for macros and other modules
+  game.modules.get("crucible-of-fate").api = CrucibleAPI;
+
+  // /crucible chat commands
+  CrucibleChatCommands.register();
+
+  // Token controls button to show or hide the panel
+  Hooks.on("getSceneControlButtons", controls => {
+    controls.find(control => control.name === "token")?.tools.push({
+      name: "crucible",
+      title: "crucible.panel.toggle",
+      icon: "fas fa-dice-d6",
+      button: true,
+      onClick: () => CruciblePanel.toggle()
+    });
   });
 });
 
+// Crucible dice get their own colorsets when Dice So Nice is installed
+Hooks.once("diceSoNiceReady", dice3d => {
+  CrucibleDice.registerColorsets(dice3d);
+});
+
 Hooks.once("ready", async () => {
   console.log("Crucible of Fate | Module ready");
 
+  // Rebuild roll and augmentation tracking from chat history
+  RollAugmentation.rebuildFromHistory();
+
+  // Add armed dice to rolls through the system's pre-roll hooks
+  CrucibleArming.registerSystemHooks();
+
+  // Sound cues for spends, transfers and the end of the ritual
+  CrucibleSounds.register();
+
   // Initialize seed ritual manager
   seedRitualManager = new SeedRitualManager();
 
-  // Initialize and render Crucible Panel
-  if (!CruciblePanel.instance) {
-    const panel = new CruciblePanel();
-    panel.render(true);
-  }
+  // Show the panel (or the docked strip) as this client left it
+  await CruciblePanel.restore();
+
+  // The players list re-renders on its own; keep the strip above it
+  Hooks.on("renderPlayerList", () => {
+    if (CrucibleDock.instance) {
+      CrucibleDock.instance.dock();
+    }
+  });
 
   // Register context menu for chat messages
   Hooks.on("getChatLogEntryContext", addContextMenuEntry);
@@ -50,11 +123,21 @@ Hooks.once("ready", async () => {
     if (CruciblePanel.instance) {
       CruciblePanel.instance.refresh();
     }
+    if (CrucibleDock.instance) {
+      CrucibleDock.instance.render();
+    }
+  });
+
+  Hooks.on("crucible.rulesUpdated", () => {
+    if (CruciblePanel.instance) {
+      CruciblePanel.instance.refresh();
+    }
   });
 
   // Register hooks for seed ritual
   Hooks.on("crucible.seedStarted", (payload) => {
-    if (!game.user.isGM && seedRitualManager) {
+    const expected = payload.expected ?? [game.user.id];
+    if (!game.user.isGM && seedRitualManager && expected.includes(game.user.id)) {
       seedRitualManager.openForPlayer(game.user.id);
     }
   });
@@ -65,53 +148,207 @@ Hooks.once("ready", async () => {
     }
   });
 
+  // GM re-prompted this player, or resolved their die for them
+  Hooks.on("crucible.seedPrompt", (payload) => {
+    if (seedRitualManager) {
+      seedRitualManager.openForPlayer(game.user.id);
+    }
+  });
 
-  // Enforce invariant on ready
-  if (game.user.isGM) {
+  Hooks.on("crucible.seedDismiss", (payload) => {
+    if (seedRitualManager) {
+      seedRitualManager.closeForPlayer(game.user.id);
+    }
+  });
+
+  // Keep the ritual tracker in sync with submissions and connections
+  Hooks.on("crucible.stateUpdated", () => {
+    if (RitualTracker.instance) {
+      RitualTracker.instance.refresh();
+    }
+  });
+
+  Hooks.on("userConnected", () => {
+    if (RitualTracker.instance) {
+      RitualTracker.instance.refresh();
+    }
+  });
+
+  // Refresh Undo/Redo buttons when the history stack changes
+  Hooks.on("crucible.historyChanged", () => {
+    if (CruciblePanel.instance) {
+      CruciblePanel.instance.refresh();
+    }
+  });
+
+  // Show pending state while this client waits on the GM
+  Hooks.on("crucible.requestsChanged", () => {
+    if (CruciblePanel.instance) {
+      CruciblePanel.instance.refresh();
+    }
+  });
+
+  // The log lives in a GM-only journal entry
+  for (const hook of ["createJournalEntry", "updateJournalEntry"]) {
+    Hooks.on(hook, journal => {
+      if (CrucibleAuditLog.isJournal(journal)) {
+        Hooks.callAll("crucible.auditLogUpdated");
+      }
+    });
+  }
+
+  // Keep the audit log viewer and statistics in sync with new entries
+  Hooks.on("crucible.auditLogUpdated", () => {
+    if (AuditLogViewer.instance) {
+      AuditLogViewer.instance.render();
+    }
+    if (StatisticsViewer.instance) {
+      StatisticsViewer.instance.render();
+    }
+  });
+
+  // Open the approval queue when a request arrives, and keep it current
+  // (the panel shows a button back to it while requests wait)
+  Hooks.on("crucible.approvalsChanged", () => {
+    if (CrucibleApprovals.queue.length && !ApprovalQueue.instance) {
+      new ApprovalQueue().render(true);
+    } else if (ApprovalQueue.instance) {
+      ApprovalQueue.instance.render();
+    }
+    if (CruciblePanel.instance) {
+      CruciblePanel.instance.refresh();
+    }
+  });
+
+  Hooks.on("crucible.stateUpdated", state => {
+    // Arm or cancel the ritual auto-timeout, whichever GM started or ended the ritual
+    CrucibleRitual.scheduleTimeout(state);
+
+    if (ApprovalQueue.instance) {
+      ApprovalQueue.instance.render();
+    }
+    if (CounterSpendWindow.instance) {
+      CounterSpendWindow.instance.render();
+    }
+  });
+
+  // Give the GM a moment to answer each augment with a GM die
+  Hooks.on("crucible.augment", (message, augment) => {
+    CrucibleCounterSpend.open(message, augment);
+  });
+
+  Hooks.on("crucible.counterWindowsChanged", () => {
+    if (CrucibleCounterSpend.windows.size && !CounterSpendWindow.instance) {
+      new CounterSpendWindow().render(true);
+    } else if (CounterSpendWindow.instance && CrucibleCounterSpend.windows.size) {
+      CounterSpendWindow.instance.render();
+    } else if (CounterSpendWindow.instance) {
+      CounterSpendWindow.instance.close();
+    }
+  });
+
+  // A newer roll makes queued requests stale
+  Hooks.on("createChatMessage", () => {
+    if (ApprovalQueue.instance && CrucibleApprovals.queue.length) {
+      ApprovalQueue.instance.render();
+    }
+  });
+
+  // Keep the session history in sync with ended and deleted sessions
+  Hooks.on("crucible.sessionHistoryUpdated", () => {
+    if (SessionHistory.instance) {
+      SessionHistory.instance.render();
+    }
+  });
+
+
+  // Track which GM processes requests, and fail over when that GM leaves
+  Hooks.on("crucible.authorityChanged", async (authority, previousId) => {
+    if (CruciblePanel.instance) {
+      CruciblePanel.instance.refresh();
+    }
+
+    // Only the authoritative GM runs the ritual auto-timeout
+    CrucibleRitual.scheduleTimeout();
+
+    // Players drop requests queued with a previous authority; this GM's queue goes with them
+    if (authority?.id !== game.user.id) {
+      CrucibleApprovals.clear();
+    }
+
+    if (previousId && authority?.id === game.user.id) {
+      ui.notifications.info(game.i18n.localize("crucible.authority.takenOver"));
+      await CrucibleState.enforceInvariant();
+    }
+  });
+
+  Hooks.on("userConnected", async (user, connected) => {
+    CrucibleSocket.updateAuthority();
+
+    // Seed late joiners and remove a die for players who leave
+    await CrucibleAttendance.handleUserConnected(user, connected);
+  });
+
+  CrucibleSocket.updateAuthority();
+
+  // Migrate legacy settings and enforce invariant on ready
+  if (CrucibleSocket.isAuthority()) {
+    await CrucibleState.migrate();
+    await CrucibleAuditLog.migrate();
     await CrucibleState.enforceInvariant();
+  } else if (!game.user.isGM) {
+    CrucibleSocket.requestSnapshot();
+
+    // Pick up a seed prompt sent while this client was still loading
+    const state = CrucibleState.getState();
+    const ritualPending = state.ritual?.active && state.ritual.entries[game.user.id]?.status === "pending";
+    if (ritualPending || state.pendingSeeds.includes(game.user.id)) {
+      seedRitualManager.openForPlayer(game.user.id);
+    }
   }
 });
 
 /**
  * Handle seed result from player
+ * Errors are returned to the requesting player by CrucibleSocket
  */
-async function handleSeedResult(userId, result) {
-  if (!game.user.isGM) return;
-  
-  try {
-    await CrucibleSocket.processSeedResult(userId, result);
-  } catch (error) {
-    console.error("Crucible of Fate | Error processing seed result:", error);
-    ui.notifications.error(error.message);
-  }
+async function handleSeedResult(userId, payload) {
+  return await CrucibleSocket.processSeedResult(userId, payload.result);
 }
 
 /**
  * Handle augmentation request from player
+ * Errors are returned to the requesting player by CrucibleSocket
  */
-async function handleAugmentRequest(userId, messageId) {
-  if (!game.user.isGM) return;
-  
-  try {
-    await RollAugmentation.handleAugmentRequest(userId, messageId);
-  } catch (error) {
-    console.error("Crucible of Fate | Error processing augment request:", error);
-    ui.notifications.error(error.message);
+async function handleAugmentRequest(userId, payload) {
+  if (CrucibleApprovals.isEnabled()) {
+    return await CrucibleApprovals.enqueue(userId, payload);
   }
+  return await RollAugmentation.handleAugmentRequest(userId, payload.messageId);
 }
 
 /**
  * Add context menu entry for roll augmentation
  */
 function addContextMenuEntry(html, entryOptions) {
-  entryOptions.push({
-    name: game.i18n.localize("crucible.augment.contextMenu"),
+  const entry = {
+    name: game.i18n.format("crucible.augment.contextMenu", { formula: CrucibleRules.augmentFormula() }),
     icon: '<i class="fas fa-dice-d6"></i>',
     condition: (li) => {
       const messageId = li.data("message-id");
       const message = game.messages.get(messageId);
       if (!message) return false;
-      return RollAugmentation.canAugment(message);
+      if (RollAugmentation.isAugmentPending(messageId)) return false;
+      if (!RollAugmentation.canAugment(message)) return false;
+
+      // The context menu reads the name after checking the condition
+      const preview = RollAugmentation.getPreview(message);
+      const formula = CrucibleRules.formula(RollAugmentation.getAugmentCount(message));
+      const label = RollAugmentation.isLending(message)
+        ? game.i18n.format("crucible.augment.lendContextMenu", { formula, name: message.user.name })
+        : game.i18n.format("crucible.augment.contextMenu", { formula });
+      entry.name = preview ? `${label} (${RollAugmentation.formatPreview(preview)})` : label;
+      return true;
     },
     callback: async (li) => {
       const messageId = li.data("message-id");
@@ -121,19 +358,70 @@ function addContextMenuEntry(html, entryOptions) {
         ui.notifications.error(error.message);
       }
     }
-  });
+  };
+  entryOptions.push(entry);
 }
 
 /**
  * Register roll messages for tracking
  */
 Hooks.on("createChatMessage", (message, options, userId) => {
-  // Only track messages with rolls
-  if (message.rolls && message.rolls.length > 0) {
-    RollAugmentation.registerRoll(message);
+  // Only messages with player rolls are tracked
+  RollAugmentation.registerRoll(message);
+
+  // Players see their latest roll in the panel
+  if (!game.user.isGM && message.user?.id === game.user.id && CruciblePanel.instance) {
+    CruciblePanel.instance.refresh();
+  }
+
+  // Spend a die the author armed before rolling
+  CrucibleArming.consume(message);
+});
+
+Hooks.on("updateChatMessage", (message, changes, options, userId) => {
+  if (foundry.utils.hasProperty(changes, "flags.crucible-of-fate")) {
+    if (!game.user.isGM && CruciblePanel.instance) {
+      CruciblePanel.instance.refresh();
+    }
+  }
+});
+
+Hooks.on("deleteChatMessage", (message, options, userId) => {
+  RollAugmentation.unregisterRoll(message);
+  if (!game.user.isGM && message.user?.id === game.user.id && CruciblePanel.instance) {
+    CruciblePanel.instance.refresh();
   }
 });
 
+/**
+ * Badge rolls that had the Crucible die applied in place, and list who added the dice
+ */
+Hooks.on("renderChatMessage", (message, html, data) => {
+  const contributions = RollAugmentation.getContributions(message);
+  if (!contributions.some(c => c.inPlace)) return;
+
+  const badge = game.i18n.localize("crucible.augment.badge");
+  html.find(".tooltip-part").each((i, part) => {
+    if (part.querySelector(".part-flavor")?.textContent.trim() === badge) {
+      part.classList.add("crucible-term");
+    }
+  });
+  html.find(".dice-total").first()
+    .append(`<span class="crucible-badge" title="${game.i18n.localize("crucible.augment.badgeHint")}"><i class="fas fa-fire"></i> ${badge}</span>`);
+  html.find(".message-content").append(RollAugmentation.formatContributors(contributions));
+});
+
+/**
+ * Mark revoked augment cards
+ */
+Hooks.on("renderChatMessage", (message, html, data) => {
+  if (!message.getFlag("crucible-of-fate", "revoked")) return;
+
+  const card = html.find(".crucible-chat-message");
+  card.addClass("crucible-revoked");
+  card.append(`<div class="crucible-revoked-note">${game.i18n.localize("crucible.augment.revoked")}</div>`);
+});
+
 /**
  * Handle state updates from socket
  */
@@ -149,4 +437,7 @@ Hooks.on("crucible.stateUpdated", (state) => {
  */
 Hooks.once("setup", () => {
   // Settings are registered in state.js initializeSettings()
+
+  // Let other modules add roll classifiers once every module has initialized
+  Hooks.callAll("crucible.registerRollClassifiers", RollClassifiers);
 });
@@ -0,0 +1,258 @@
+/**
+ * Crucible of Fate - Seeding Ritual
+ * GM-side management of "Invoke the Crucible": per-player status, manual
+ * resolution, completion and the optional auto-timeout
+ */
+
+import { CrucibleState } from "./state.js";
+import { CrucibleSocket } from "./socket.js";
+import { CrucibleRules } from "./rules.js";
+import { CrucibleDice, CrucibleColorset } from "./dice.js";
+
+export const CrucibleRitual = {
+  /**
+   * Pending auto-timeout on this client
+   */
+  _timer: null,
+
+  /**
+   * Deadline the pending auto-timeout was armed for
+   */
+  _deadline: null,
+
+  /**
+   * Describe each expected player's seeding status
+   * @param {Object} [state] - State to read (defaults to current state)
+   * @returns {Array<Object>} Rows of { userId, name, status, value, source, connected }
+   */
+  getStatus(state = CrucibleState.getState()) {
+    const ritual = state.ritual;
+    if (!ritual) return [];
+
+    return ritual.expected.map(userId => {
+      const user = game.users.get(userId);
+      const entry = ritual.entries[userId] ?? { status: "pending", value: null, source: null };
+      return {
+        userId: userId,
+        name: user?.name ?? userId,
+        status: entry.status,
+        value: entry.value,
+        source: entry.source,
+        connected: !!user?.active
+      };
+    });
+  },
+
+  /**
+   * GM rolls a seed die on a player's behalf
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Acknowledgement data ({ pool })
+   */
+  async rollFor(userId) {
+    const roll = await CrucibleDice.roll(CrucibleRules.formula(), CrucibleColorset.PLAYER);
+    await this.postSeedRoll(roll, {
+      name: game.users.get(userId)?.name ?? userId,
+      whisper: ChatMessage.getWhisperRecipients("GM").map(user => user.id)
+    });
+    return await CrucibleSocket.processSeedResult(userId, roll.total, { source: "gm" });
+  },
+
+  /**
+   * Post a seed roll as a roll card
+   * @param {Roll} roll - Evaluated seed roll
+   * @param {Object} [options]
+   * @param {string} [options.name] - Player the GM rolled for, if not the current user
+   * @param {string[]} [options.whisper] - User IDs to whisper the card to (public if empty)
+   * @returns {Promise<ChatMessage>}
+   */
+  async postSeedRoll(roll, { name = null, whisper = [] } = {}) {
+    const text = name
+      ? game.i18n.format("crucible.seed.rollCardFor", { name: Handlebars.escapeExpression(name), result: roll.total })
+      : game.i18n.format("crucible.seed.rollCard", { result: roll.total });
+    return await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker(),
+      ...await CrucibleDice.messageData(roll, `<div class="crucible-chat-message">${text}</div>`),
+      whisper: whisper,
+      flags: {
+        "crucible-of-fate": {
+          seedRoll: true
+        }
+      }
+    });
+  },
+
+  /**
+   * GM enters a seed value on a player's behalf
+   * @param {string} userId - User ID
+   * @param {number} value - Seed result (1 to the configured die size)
+   * @returns {Promise<Object>} Acknowledgement data ({ pool })
+   */
+  async enterFor(userId, value) {
+    return await CrucibleSocket.processSeedResult(userId, value, { source: "gm" });
+  },
+
+  /**
+   * GM excludes a player from this ritual
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async skip(userId) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can skip players");
+    }
+
+    const newState = await CrucibleState.updateState(state => {
+      const entry = state.ritual?.entries[userId];
+      if (!state.ritual?.active || !entry || entry.status !== "pending") {
+        return null;
+      }
+      state.ritual.entries[userId] = { status: "skipped", value: null, source: "gm" };
+      return { ritual: state.ritual };
+    }, { action: "seedSkip", userId: userId });
+
+    CrucibleSocket.broadcastStateUpdate(newState);
+    game.socket.emit("module.crucible-of-fate", {
+      type: "seedDismiss",
+      payload: { userId: userId }
+    });
+
+    await this.checkComplete(newState);
+  },
+
+  /**
+   * Re-open the seed modal for a player who closed it
+   * @param {string} userId - User ID
+   */
+  reprompt(userId) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can re-prompt players");
+    }
+
+    game.socket.emit("module.crucible-of-fate", {
+      type: "seedPrompt",
+      payload: { userId: userId }
+    });
+  },
+
+  /**
+   * Finish the ritual once nobody is still pending
+   * @param {Object} state - Current state
+   * @returns {Promise<void>}
+   */
+  async checkComplete(state) {
+    if (!state.ritual?.active) return;
+
+    const pending = this.getStatus(state).some(row => row.status === "pending");
+    if (!pending) {
+      await this.finish();
+    }
+  },
+
+  /**
+   * End the ritual, even if some players are still pending (GM-only)
+   * The invariant applies again from here, so any pending player's die is
+   * restored by the usual auto-rebalance. Skipped players stay without one.
+   * @returns {Promise<void>}
+   */
+  async finish() {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can finish the seeding ritual");
+    }
+
+    this.cancelTimeout();
+
+    let finished = false;
+    const newState = await CrucibleState.updateState(state => {
+      if (!state.ritual?.active) return null;
+      finished = true;
+      return {
+        ritual: { ...state.ritual, active: false, completedAt: new Date().toISOString() },
+        skippedPlayers: Object.keys(state.ritual.entries).filter(id => state.ritual.entries[id].status === "skipped")
+      };
+    }, { action: "seedComplete" });
+
+    if (!finished) return;
+
+    CrucibleSocket.broadcastStateUpdate(newState);
+
+    const payload = { state: newState };
+    game.socket.emit("module.crucible-of-fate", {
+      type: "seedComplete",
+      payload: payload
+    });
+    Hooks.callAll("crucible.seedComplete", payload);
+
+    // Record the seeds on the card so statistics can be rebuilt from chat
+    const seedResults = {};
+    for (const [userId, entry] of Object.entries(newState.ritual.entries)) {
+      if (entry.status === "submitted") {
+        seedResults[userId] = { result: entry.value, source: entry.source };
+      }
+    }
+
+    const lines = Object.entries(seedResults).map(([userId, seed]) => `<li>${game.i18n.format("crucible.seed.resultLine", {
+      name: Handlebars.escapeExpression(game.users.get(userId)?.name ?? userId),
+      result: seed.result,
+      pool: game.i18n.localize(CrucibleRules.seedPool(seed.result) === "gm" ? "crucible.gmPool" : "crucible.playerPool")
+    })}</li>`);
+
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker(),
+      content: `<div class="crucible-chat-message">${game.i18n.localize("crucible.seed.complete")}<ul>${lines.join("")}</ul></div>`,
+      flags: {
+        "crucible-of-fate": {
+          seedResults: seedResults
+        }
+      }
+    });
+  },
+
+  /**
+   * Roll for everyone still pending (used by the auto-timeout)
+   * @returns {Promise<void>}
+   */
+  async rollForStragglers() {
+    const pending = this.getStatus().filter(row => row.status === "pending");
+    for (const row of pending) {
+      // Another GM may have finished the ritual meanwhile
+      if (!CrucibleState.getState().ritual?.active) return;
+      try {
+        await this.rollFor(row.userId);
+      } catch (error) {
+        console.warn(`Crucible of Fate | Could not roll for ${row.name}:`, error);
+      }
+    }
+  },
+
+  /**
+   * Arm the auto-timeout from the ritual's deadline (authoritative GM only)
+   * Called on every state change, so it also cancels the timeout once the ritual ends.
+   * @param {Object} [state] - State to read (defaults to current state)
+   */
+  scheduleTimeout(state = CrucibleState.getState()) {
+    const deadline = state.ritual?.active && CrucibleSocket.isAuthority() ? state.ritual.deadline : null;
+    if (this._timer && deadline === this._deadline) return;
+
+    this.cancelTimeout();
+    if (!deadline) return;
+
+    const delay = Math.max(0, new Date(deadline).getTime() - Date.now());
+    this._deadline = deadline;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._deadline = null;
+      this.rollForStragglers();
+    }, delay);
+  },
+
+  /**
+   * Cancel the pending auto-timeout on this client
+   */
+  cancelTimeout() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    this._deadline = null;
+  }
+};
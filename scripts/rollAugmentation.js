@@ -5,63 +5,253 @@
 
 import { CrucibleState } from "./state.js";
 import { CrucibleSocket } from "./socket.js";
+import { CrucibleError, CrucibleErrorCode } from "./errors.js";
+import { RollClassifiers, RollCategory } from "./rollClassifiers.js";
+import { CrucibleRules } from "./rules.js";
+import { CrucibleDice, CrucibleColorset } from "./dice.js";
 
 export const RollAugmentation = {
   /**
-   * Track most recent roll per player
+   * Track most recent roll per player (cache rebuilt from chat history)
    */
   playerRollHistory: new Map(),
 
   /**
-   * Track augmented message IDs
+   * Crucible dice the GM is still rolling onto a message, by message ID
+   * (counted against the roll's limit until the "augmented" flag is written)
    */
-  augmentedMessages: new Set(),
+  reservedDice: new Map(),
 
   /**
    * Detect if a roll is a skill check or saving throw
-   * Priority: D&D 5e system flags > flavor text heuristics > unknown
+   * Classification is delegated to the system's registered adapter, falling
+   * back on flavor text heuristics (see RollClassifiers)
    * @param {ChatMessage} message - Chat message containing the roll
    * @returns {boolean} True if roll can be augmented
    */
   isAugmentableRoll(message) {
-    // Check if already augmented
-    if (this.augmentedMessages.has(message.id)) {
+    // Check if the roll already holds as many Crucible dice as the rules allow
+    if (this.getRemainingDice(message) === 0) {
       return false;
     }
 
-    // Check D&D 5e system flags
-    if (game.system.id === "dnd5e") {
-      const rollType = message.flags?.dnd5e?.roll?.type;
-      if (rollType === "skill" || rollType === "save" || rollType === "savingThrow") {
-        return true;
-      }
+    return RollClassifiers.classify(message) !== RollCategory.OTHER;
+  },
+
+  /**
+   * Preview what an augment would do against the roll's target number
+   * @param {ChatMessage} message - Chat message containing the roll
+   * @returns {Object|null} { target, total, margin, needed, chance, succeeded }, or null if no target is known
+   */
+  getPreview(message) {
+    const target = RollClassifiers.getTarget(message);
+    const total = this.getTotal(message);
+    if (target === null || !Number.isFinite(total)) return null;
+
+    // The augment dice have to roll at least "needed" between them
+    const needed = target - total;
+    const chance = Math.round(this._chanceAtLeast(needed, this.getAugmentCount(message), CrucibleRules.get().dieFaces) * 100);
+
+    return {
+      target: target,
+      total: total,
+      margin: total - target,
+      needed: needed,
+      chance: chance,
+      succeeded: total >= target
+    };
+  },
+
+  /**
+   * Probability that the sum of some dice is at least a value
+   * @param {number} needed - Minimum sum
+   * @param {number} count - Number of dice
+   * @param {number} faces - Faces per die
+   * @returns {number} Probability between 0 and 1
+   */
+  _chanceAtLeast(needed, count, faces) {
+    if (needed <= count) return 1;
+    if (needed > count * faces) return 0;
+
+    // Distribution of sums, one die at a time
+    let ways = [1];
+    for (let die = 0; die < count; die++) {
+      const next = new Array(ways.length + faces).fill(0);
+      ways.forEach((w, sum) => {
+        for (let face = 1; face <= faces; face++) next[sum + face] += w;
+      });
+      ways = next;
     }
+    const hits = ways.reduce((acc, w, sum) => acc + (sum >= needed ? w : 0), 0);
+    return hits / Math.pow(faces, count);
+  },
 
-    // Check flavor text heuristics
-    const flavor = message.flavor || "";
-    const content = message.content || "";
-    const text = (flavor + " " + content).toLowerCase();
-    
-    const keywords = [
-      "skill",
-      "save",
-      "saving throw",
-      "ability check",
-      "check",
-      "saving"
-    ];
-
-    for (const keyword of keywords) {
-      if (text.includes(keyword)) {
-        // Exclude attack rolls
-        if (text.includes("attack") && !text.includes("saving throw")) {
-          continue;
-        }
-        return true;
-      }
+  /**
+   * Describe the preview for display
+   * @param {Object} preview - Result of getPreview
+   * @returns {string} Localized summary
+   */
+  formatPreview(preview) {
+    if (preview.succeeded) {
+      return game.i18n.format("crucible.augment.preview.succeeded", { target: preview.target });
+    }
+    return game.i18n.format("crucible.augment.preview.short", {
+      target: preview.target,
+      short: preview.needed,
+      chance: preview.chance
+    });
+  },
+
+  /**
+   * Describe a roll for display outside the chat log
+   * @param {ChatMessage} message - Roll message
+   * @returns {Object} { label, actor, total }
+   */
+  describeRoll(message) {
+    const flavor = $(`<div>${message.flavor ?? ""}</div>`).text().trim();
+    return {
+      label: flavor || game.i18n.localize("crucible.panel.roll"),
+      actor: ChatMessage.getSpeakerActor(message.speaker)?.name ?? message.speaker?.alias ?? message.user?.name ?? "",
+      total: this.getTotal(message) ?? ""
+    };
+  },
+
+  /**
+   * Check if a roll message has any Crucible dice on it (or on their way)
+   * @param {ChatMessage} message - Chat message
+   * @returns {boolean} True if augmented
+   */
+  isAugmented(message) {
+    return this.getDiceOnRoll(message) > 0;
+  },
+
+  /**
+   * Get the contributions of Crucible dice to a roll, oldest first (undone ones are left out)
+   * Rolls augmented before several dice could share a roll carry a single
+   * augment, which is read as one contribution.
+   * @param {ChatMessage} message - Roll message
+   * @param {Object} [options]
+   * @param {boolean} [options.revoked] - Include contributions undone by the GM
+   * GM counter-spends answering an augment are listed too, marked with the ID
+   * of the contribution they answer ("counter").
+   * @returns {Array<Object>} { id, userId, dice, results, result, roll, flipped, pool, lent, inPlace, armed, narration, counter, subtract, label, originalRoll, originalContent, revoked }
+   */
+  getContributions(message, { revoked = false } = {}) {
+    const flag = message?.getFlag("crucible-of-fate", "augmented");
+    if (!flag) return [];
+
+    let contributions = flag.contributions;
+    if (!contributions) {
+      const card = flag.cardId ? game.messages.get(flag.cardId) : null;
+      const cardFlags = card?.flags["crucible-of-fate"] ?? {};
+      contributions = [{
+        id: null,
+        userId: flag.userId ?? cardFlags.augmentedBy ?? null,
+        dice: flag.dice ?? cardFlags.augmentDice ?? 1,
+        results: [flag.result],
+        result: flag.result,
+        roll: null,
+        flipped: flag.flipped ?? cardFlags.augmentFlipped ?? null,
+        pool: flag.pool ?? cardFlags.augmentPool ?? "gm",
+        lent: false,
+        inPlace: !!flag.inPlace || !!flag.armed,
+        armed: !!flag.armed,
+        narration: "",
+        originalRoll: flag.originalRoll ?? null,
+        originalContent: flag.originalContent ?? null,
+        revoked: !!cardFlags.revoked
+      }];
     }
+    return revoked ? contributions : contributions.filter(c => !c.revoked);
+  },
+
+  /**
+   * Store a roll's contributions (GM-only), with the per-roll summary older flag readers use
+   * @param {ChatMessage} message - Roll message
+   * @param {Array<Object>} contributions - Every contribution, undone ones included
+   * @returns {Promise<ChatMessage>}
+   */
+  async setContributions(message, contributions) {
+    const augments = contributions.filter(c => !c.revoked && !c.counter);
+    return await message.setFlag("crucible-of-fate", "augmented", {
+      contributions: contributions,
+      userId: augments[0]?.userId ?? null,
+      result: augments.reduce((sum, c) => sum + c.result, 0),
+      dice: augments.reduce((sum, c) => sum + c.dice, 0)
+    });
+  },
+
+  /**
+   * Count the Crucible dice on a roll, including dice the GM is still rolling
+   * @param {ChatMessage} message - Roll message
+   * @returns {number} Dice count
+   */
+  getDiceOnRoll(message) {
+    const spent = this.getContributions(message)
+      .filter(c => !c.counter)
+      .reduce((sum, c) => sum + c.dice, 0);
+    return spent + (this.reservedDice.get(message.id) ?? 0);
+  },
+
+  /**
+   * Count the Crucible dice a roll can still take under the rules' limit
+   * @param {ChatMessage} message - Roll message
+   * @returns {number} Dice left
+   */
+  getRemainingDice(message) {
+    return Math.max(CrucibleRules.get().maxDicePerRoll - this.getDiceOnRoll(message), 0);
+  },
+
+  /**
+   * Number of dice the next augment of a roll rolls (fewer than usual close to the limit)
+   * @param {ChatMessage} message - Roll message
+   * @returns {number} Dice count
+   */
+  getAugmentCount(message) {
+    return Math.min(CrucibleRules.get().augmentDice, this.getRemainingDice(message));
+  },
+
+  /**
+   * Current total of a roll, including Crucible dice shown on a separate card
+   * @param {ChatMessage} message - Roll message
+   * @returns {number|null} Total, or null if the message has no roll
+   */
+  getTotal(message) {
+    const total = message.rolls?.[0]?.total;
+    if (!Number.isFinite(total)) return null;
+
+    // In-place and armed dice are already part of the roll
+    return this.getContributions(message)
+      .filter(c => !c.inPlace)
+      .reduce((sum, c) => sum + this.getTotalChange(c), total);
+  },
+
+  /**
+   * How much a contribution changes the roll's total
+   * @param {Object} contribution - Contribution from getContributions
+   * @returns {number} Positive for player dice, negative for a GM die imposed against the roll
+   */
+  getTotalChange(contribution) {
+    if (!contribution.counter) return contribution.result;
+    return contribution.subtract ? -contribution.result : 0;
+  },
+
+  /**
+   * Check if the current user would be lending fate to another player's roll
+   * @param {ChatMessage} message - Roll message
+   * @returns {boolean} True if the roll belongs to someone else
+   */
+  isLending(message) {
+    return message.user?.id !== game.user.id;
+  },
 
-    return false;
+  /**
+   * Check if a user may add Crucible dice to a roll made by someone else
+   * @param {ChatMessage} message - Roll message
+   * @returns {boolean} True if the roll's author is a player and lending is allowed
+   */
+  canLendTo(message) {
+    return game.settings.get("crucible-of-fate", "lendFate") && !!message.user && !message.user.isGM;
   },
 
   /**
@@ -75,165 +265,651 @@ export const RollAugmentation = {
     return mostRecent === message.id;
   },
 
+  /**
+   * Check if a message is a roll that counts towards a player's roll history
+   * @param {ChatMessage} message - Chat message
+   * @returns {boolean} True if trackable
+   */
+  isTrackableRoll(message) {
+    if (!message.user || !message.rolls?.length) return false;
+
+    // Crucible's own chat cards are not player rolls
+    return !message.getFlag("crucible-of-fate", "augmentedMessageId")
+      && !message.getFlag("crucible-of-fate", "gmSpend")
+      && !message.getFlag("crucible-of-fate", "seedRoll");
+  },
+
   /**
    * Register a roll message
    * @param {ChatMessage} message - Chat message
    */
   registerRoll(message) {
-    if (!message.user) return;
+    if (!this.isTrackableRoll(message)) return;
     
     const userId = message.user.id;
     this.playerRollHistory.set(userId, message.id);
   },
 
+  /**
+   * Find a user's most recent roll by scanning chat history
+   * @param {string} userId - User ID
+   * @returns {ChatMessage|null} Most recent roll message
+   */
+  findMostRecentRoll(userId) {
+    const messages = game.messages.contents;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const message = messages[i];
+      if (message.user?.id === userId && this.isTrackableRoll(message)) {
+        return message;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Rebuild roll and augmentation tracking from chat history and message flags
+   */
+  rebuildFromHistory() {
+    this.playerRollHistory.clear();
+    this.reservedDice.clear();
+
+    for (const message of game.messages.contents) {
+      this.registerRoll(message);
+    }
+  },
+
+  /**
+   * Keep tracking in sync when a roll message is deleted
+   * @param {ChatMessage} message - Deleted chat message
+   */
+  unregisterRoll(message) {
+    this.reservedDice.delete(message.id);
+
+    const userId = message.user?.id;
+    if (userId && this.playerRollHistory.get(userId) === message.id) {
+      const previous = this.findMostRecentRoll(userId);
+      if (previous) {
+        this.playerRollHistory.set(userId, previous.id);
+      } else {
+        this.playerRollHistory.delete(userId);
+      }
+    }
+  },
+
   /**
    * Check if augmentation is available for a message
    * @param {ChatMessage} message - Chat message
    * @returns {boolean} True if augmentation available
    */
   canAugment(message) {
+    return this.getAugmentBlocker(message) === null;
+  },
+
+  /**
+   * Find the first reason the current user cannot augment a message
+   * @param {ChatMessage} message - Chat message
+   * @returns {string|null} CrucibleErrorCode, or null if the roll can be augmented
+   */
+  getAugmentBlocker(message) {
     // Must be a player (not GM)
     if (game.user.isGM) {
-      return false;
+      return CrucibleErrorCode.PLAYER_ONLY;
     }
 
-    // Must own the message
-    if (message.user.id !== game.user.id) {
-      return false;
+    // Must own the message, or lend fate to another player
+    if (this.isLending(message) && !this.canLendTo(message)) {
+      return CrucibleErrorCode.NOT_OWNER;
     }
 
-    // Must be augmentable roll type
-    if (!this.isAugmentableRoll(message)) {
-      return false;
+    // Must not require declaring before the roll
+    if (game.settings.get("crucible-of-fate", "declarationMode") === "armed") {
+      return CrucibleErrorCode.DECLARATION_REQUIRED;
     }
 
-    // Must have dice in Player Pool
+    // Must have room for more Crucible dice on the roll
+    const count = this.getAugmentCount(message);
+    if (count === 0) {
+      return CrucibleErrorCode.ALREADY_AUGMENTED;
+    }
+
+    // Must have enough dice in Player Pool
     const state = CrucibleState.getState();
-    if (state.playerPoolCount < 1) {
-      return false;
+    if (state.playerPoolCount < count) {
+      return CrucibleErrorCode.PLAYER_POOL_EMPTY;
     }
 
-    // Must be most recent roll
-    if (!this.isMostRecentRoll(message, game.user.id)) {
-      return false;
+    // Must be augmentable roll type
+    if (!this.isAugmentableRoll(message)) {
+      return CrucibleErrorCode.INVALID_ROLL;
+    }
+
+    // Must be the most recent roll of its author
+    if (!this.isMostRecentRoll(message, message.user.id)) {
+      return CrucibleErrorCode.NOT_MOST_RECENT;
     }
 
-    return true;
+    return null;
+  },
+
+  /**
+   * Check if this client already has an augment request in flight for a message
+   * @param {string} messageId - Chat message ID
+   * @returns {boolean} True if pending
+   */
+  isAugmentPending(messageId) {
+    return CrucibleSocket.hasPendingRequest(
+      pending => pending.type === "requestAugment" && pending.payload.messageId === messageId
+    );
   },
 
   /**
    * Process augmentation request
    * @param {string} messageId - Chat message ID
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} GM acknowledgement ({ result, newTotal, dice })
    */
   async processAugment(messageId) {
     const message = game.messages.get(messageId);
     if (!message) {
-      throw new Error("Message not found");
+      throw new CrucibleError(CrucibleErrorCode.MESSAGE_NOT_FOUND);
     }
 
     // Validate eligibility
-    if (!this.canAugment(message)) {
-      const state = CrucibleState.getState();
-      if (state.playerPoolCount < 1) {
-        throw new Error(game.i18n.localize("crucible.augment.error.insufficientDice"));
-      }
-      if (!this.isAugmentableRoll(message)) {
-        throw new Error(game.i18n.localize("crucible.augment.error.invalidRoll"));
-      }
-      if (this.augmentedMessages.has(message.id)) {
-        throw new Error(game.i18n.localize("crucible.augment.error.alreadyAugmented"));
-      }
-      if (!this.isMostRecentRoll(message, game.user.id)) {
-        throw new Error(game.i18n.localize("crucible.augment.error.notMostRecent"));
-      }
-      throw new Error(game.i18n.localize("crucible.augment.error.invalidRoll"));
+    const blocker = this.getAugmentBlocker(message);
+    if (blocker) {
+      throw new CrucibleError(blocker);
     }
 
-    // Send request to GM
-    await CrucibleSocket.requestAugment(messageId);
+    if (this.isAugmentPending(messageId)) {
+      return null;
+    }
+
+    // Send request to GM and report the outcome to this player
+    const approval = game.settings.get("crucible-of-fate", "augmentApproval");
+    ui.notifications.info(game.i18n.localize(approval ? "crucible.approval.waiting" : "crucible.augment.pending"));
+    const response = await CrucibleSocket.requestAugment(messageId);
+    ui.notifications.info(game.i18n.format("crucible.augment.success", {
+      formula: CrucibleRules.formula(response.dice),
+      result: response.result
+    }));
+    return response;
   },
 
   /**
-   * GM processes augmentation request
+   * Check that a player's augment request can be applied (GM-side, against chat history)
    * @param {string} userId - User ID requesting
    * @param {string} messageId - Chat message ID
-   * @returns {Promise<void>}
+   * @param {Object} [options]
+   * @param {boolean} [options.reserved] - The die was armed before the roll
+   * @returns {Object} { message, user, count, lent }
+   * @throws {CrucibleError} If the augment is not allowed
    */
-  async handleAugmentRequest(userId, messageId) {
-    if (!game.user.isGM) {
-      throw new Error("Only GM can handle augmentation requests");
-    }
-
+  validateAugmentRequest(userId, messageId, { reserved = false } = {}) {
     const message = game.messages.get(messageId);
     if (!message) {
-      throw new Error("Message not found");
+      throw new CrucibleError(CrucibleErrorCode.MESSAGE_NOT_FOUND);
     }
 
     const user = game.users.get(userId);
     if (!user) {
-      throw new Error("User not found");
+      throw new CrucibleError(CrucibleErrorCode.USER_NOT_FOUND);
+    }
+
+    // The Player Pool is for players; a GM's roll (or a GM asking) never draws on it
+    if (user.isGM || message.user?.isGM) {
+      throw new CrucibleError(CrucibleErrorCode.PLAYER_ONLY);
+    }
+
+    // Players may lend fate to each other, but armed dice only go on their own rolls
+    const lent = message.user?.id !== userId;
+    if (lent && (reserved || !this.canLendTo(message))) {
+      throw new CrucibleError(CrucibleErrorCode.NOT_OWNER);
     }
 
     // Validate eligibility
+    if (!reserved && game.settings.get("crucible-of-fate", "declarationMode") === "armed") {
+      throw new CrucibleError(CrucibleErrorCode.DECLARATION_REQUIRED);
+    }
+
+    // Armed dice were set aside before the roll; they are spent together
     const state = CrucibleState.getState();
-    if (state.playerPoolCount < 1) {
-      ui.notifications.warn(game.i18n.localize("crucible.augment.error.insufficientDice"));
-      return;
+    const count = reserved
+      ? state.armed[userId]?.dice ?? CrucibleRules.get().augmentDice
+      : this.getAugmentCount(message);
+    if (count === 0 || count > this.getRemainingDice(message)) {
+      throw new CrucibleError(CrucibleErrorCode.ALREADY_AUGMENTED);
     }
 
-    // Check if already augmented
-    if (this.augmentedMessages.has(messageId)) {
-      ui.notifications.warn(game.i18n.localize("crucible.augment.error.alreadyAugmented"));
-      return;
+    if (!reserved && state.playerPoolCount < count) {
+      throw new CrucibleError(CrucibleErrorCode.PLAYER_POOL_EMPTY);
     }
 
-    // Roll 1d6
-    const roll = new Roll("1d6");
-    await roll.roll();
-    const result = roll.total;
+    if (RollClassifiers.classify(message) === RollCategory.OTHER) {
+      throw new CrucibleError(CrucibleErrorCode.INVALID_ROLL);
+    }
 
-    // Calculate new total (extract original total from message)
-    let originalTotal = null;
-    if (message.rolls && message.rolls.length > 0) {
-      originalTotal = message.rolls[0].total;
-    } else {
-      // Try to extract from content
-      const match = message.content.match(/Total:\s*(\d+)/i);
-      if (match) {
-        originalTotal = parseInt(match[1], 10);
-      }
+    // Check against chat history rather than the requesting client's view
+    if (this.findMostRecentRoll(message.user.id)?.id !== messageId) {
+      throw new CrucibleError(CrucibleErrorCode.NOT_MOST_RECENT);
     }
 
-    const newTotal = originalTotal ? originalTotal + result : null;
+    return { message, user, count, lent };
+  },
+
 
-    // Post chat message
-    let chatContent = game.i18n.format("crucible.augment.chatMessage", { result });
-    if (newTotal !== null) {
-      chatContent += `<br>${game.i18n.format("crucible.augment.newTotal", { total: newTotal })}`;
+  /**
+   * GM processes augmentation request
+   * A roll takes Crucible dice from any number of players up to the rules' limit;
+   * each contribution is recorded on the roll and listed on one shared card.
+   * @param {string} userId - User ID requesting
+   * @param {string} messageId - Chat message ID
+   * @param {Object} [options]
+   * @param {boolean} [options.reserved] - Spend the die the player armed instead of one from the Player Pool
+   * @param {string} [options.narration] - GM narration added to the chat card
+   * @returns {Promise<Object>} Acknowledgement data ({ result, newTotal, dice })
+   * @fires crucible.preAugment - (message, userId, options); return false to veto the augment
+   * @fires crucible.augment - (message, { userId, result, newTotal, reserved, lent, contributionId }) once the dice are applied
+   */
+  async handleAugmentRequest(userId, messageId, { reserved = false, narration = "" } = {}) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can handle augmentation requests");
     }
 
-    await ChatMessage.create({
-      speaker: ChatMessage.getSpeaker({ user: user }),
-      content: `<div class="crucible-chat-message">${chatContent}</div>`,
-      flags: {
-        "crucible-of-fate": {
-          augmentedMessageId: messageId,
-          augmentResult: result
+    const { message, user, count, lent } = this.validateAugmentRequest(userId, messageId, { reserved });
+
+    if (Hooks.call("crucible.preAugment", message, userId, { reserved, lent }) === false) {
+      throw new CrucibleError(CrucibleErrorCode.VETOED);
+    }
+
+    const rules = CrucibleRules.get();
+
+    // Hold the dice against the roll's limit while they are rolled
+    this.reservedDice.set(messageId, (this.reservedDice.get(messageId) ?? 0) + count);
+
+    let newState;
+    let result;
+    let newTotal;
+    let contribution;
+    try {
+      const before = this.getTotal(message);
+      const target = RollClassifiers.getTarget(message);
+
+      // Roll the augment dice
+      const roll = await CrucibleDice.roll(CrucibleRules.formula(count), CrucibleColorset.PLAYER);
+      result = roll.total;
+      const dice = roll.dice[0].results.map(r => r.result);
+
+      newTotal = before !== null ? before + result : null;
+      const flipped = target !== null && before !== null ? before < target && newTotal >= target : null;
+
+      contribution = {
+        id: foundry.utils.randomID(),
+        userId: userId,
+        dice: count,
+        results: dice,
+        result: result,
+        roll: JSON.stringify(roll),
+        flipped: flipped,
+        pool: rules.augmentDestination,
+        lent: lent,
+        inPlace: this.canApplyInPlace(message),
+        armed: reserved,
+        narration: narration?.trim() ?? "",
+        originalRoll: null,
+        originalContent: null,
+        revoked: false
+      };
+
+      // Update pools first, so a refused spend leaves the roll untouched;
+      // spent dice go to the GM Pool unless the rules keep them with the players
+      const cardId = contribution.inPlace ? null : this.getCardId(message);
+      const toGm = rules.augmentDestination === "gm";
+      newState = await CrucibleState.updateState(current => {
+        // Armed dice have already left the Player Pool
+        if (reserved) {
+          if (!current.armed[userId]) {
+            throw new CrucibleError(CrucibleErrorCode.NOT_ARMED);
+          }
+          const spent = current.armed[userId].dice ?? 1;
+          const armed = { ...current.armed };
+          delete armed[userId];
+          return {
+            playerPoolCount: current.playerPoolCount + (toGm ? 0 : spent),
+            gmPoolCount: current.gmPoolCount + (toGm ? spent : 0),
+            armed: armed
+          };
+        }
+
+        if (current.playerPoolCount < count) {
+          throw new CrucibleError(CrucibleErrorCode.PLAYER_POOL_EMPTY);
+        }
+        return {
+          playerPoolCount: current.playerPoolCount - (toGm ? count : 0),
+          gmPoolCount: current.gmPoolCount + (toGm ? count : 0)
+        };
+      }, {
+        action: "augment",
+        userId: userId,
+        messageId: cardId ?? messageId,
+        details: {
+          rollMessageId: messageId,
+          contributionId: contribution.id,
+          result,
+          dice,
+          inPlace: contribution.inPlace,
+          armed: reserved,
+          lent,
+          target,
+          flipped
         }
+      });
+
+      // Either fold the dice into the original roll, or list them on the roll's card
+      // (a new card shows the dice itself when it is posted)
+      if (!cardId || game.messages.has(cardId)) {
+        await CrucibleDice.show(roll, { user: user });
+      }
+      if (contribution.inPlace) {
+        const original = await this.applyInPlace(message, dice);
+        contribution.originalRoll = original.roll;
+        contribution.originalContent = original.content;
+      }
+
+      // Record the contribution on the roll itself so every client (and later sessions) sees it
+      const contributions = [...foundry.utils.deepClone(this.getContributions(message, { revoked: true })), contribution];
+      await this.setContributions(message, contributions);
+      if (!contribution.inPlace) {
+        await this.updateCard(message, { id: cardId });
       }
+    } finally {
+      // From here on the flag counts the dice
+      const left = (this.reservedDice.get(messageId) ?? 0) - count;
+      if (left > 0) {
+        this.reservedDice.set(messageId, left);
+      } else {
+        this.reservedDice.delete(messageId);
+      }
+    }
+
+    // Broadcast state update
+    CrucibleSocket.broadcastStateUpdate(newState);
+    Hooks.callAll("crucible.augment", message, {
+      userId,
+      result,
+      newTotal,
+      reserved,
+      lent,
+      contributionId: contribution.id
     });
 
-    // Update pools
-    const newState = await CrucibleState.updateState({
-      playerPoolCount: state.playerPoolCount - 1,
-      gmPoolCount: state.gmPoolCount + 1
+    return { result, newTotal, dice: count };
+  },
+
+  /**
+   * List who added Crucible dice to a roll, with each die result
+   * @param {Array<Object>} contributions - Contributions from getContributions
+   * @returns {string} HTML
+   */
+  formatContributors(contributions) {
+    const items = contributions.map(c => {
+      let key = c.lent ? "crucible.augment.lentLine" : "crucible.augment.contributionLine";
+      if (c.counter) {
+        key = c.subtract ? "crucible.counter.line" : "crucible.counter.effectLine";
+      }
+      const line = game.i18n.format(key, {
+        name: Handlebars.escapeExpression(game.users.get(c.userId)?.name ?? game.i18n.localize("crucible.augment.unknownPlayer")),
+        formula: CrucibleRules.formula(c.dice),
+        result: c.result,
+        dice: c.results.join(", "),
+        label: Handlebars.escapeExpression(c.label ?? "")
+      });
+      const narration = c.narration
+        ? `<div class="crucible-narration">${Handlebars.escapeExpression(c.narration)}</div>`
+        : "";
+      return `<li${c.counter ? ' class="crucible-counter"' : ""}>${line}${narration}</li>`;
     });
+    return `<ul class="crucible-contributors">${items.join("")}</ul>`;
+  },
 
-    // Mark as augmented
-    this.augmentedMessages.add(messageId);
+  /**
+   * Build the card listing the Crucible dice on a roll and the running total
+   * @param {ChatMessage} message - Roll message
+   * @returns {string} HTML
+   */
+  _formatCard(message) {
+    const roll = this.describeRoll(message);
+    const contributions = this.getContributions(message);
+    const total = this.getTotal(message);
+    const target = RollClassifiers.getTarget(message);
+
+    let content = `<h4>${game.i18n.format("crucible.augment.cardTitle", {
+      actor: Handlebars.escapeExpression(roll.actor),
+      label: Handlebars.escapeExpression(roll.label)
+    })}</h4>`;
+    content += this.formatContributors(contributions);
+    if (total !== null) {
+      content += game.i18n.format("crucible.augment.newTotal", { total });
+      if (target !== null) {
+        const base = contributions.reduce((sum, c) => sum - this.getTotalChange(c), total);
+        content += `<br><strong class="crucible-outcome">${this._formatOutcome(base, total, target)}</strong>`;
+      }
+    }
+    return `<div class="crucible-chat-message crucible-augment-card">${content}</div>`;
+  },
 
-    // Broadcast state update
-    CrucibleSocket.broadcastStateUpdate(newState);
+  /**
+   * ID of the roll's augment card, or a new ID to post the card under
+   * Known before the card exists, so the pool change can be logged against it.
+   * @param {ChatMessage} message - Roll message
+   * @returns {string} Chat message ID
+   */
+  getCardId(message) {
+    const cardId = message.getFlag("crucible-of-fate", "augmented")?.cardId;
+    return cardId && game.messages.has(cardId) ? cardId : foundry.utils.randomID();
+  },
+
+  /**
+   * Per-roll summary written to the augment card's flags
+   * @param {ChatMessage} message - Roll message
+   * @returns {Object} { augmentedMessageId, augmentResult, augmentedBy, augmentDice, augmentFlipped, augmentPool }
+   */
+  _cardFlags(message) {
+    const augments = this.getContributions(message).filter(c => !c.counter);
+    const flipped = augments.map(c => c.flipped).filter(value => value !== null);
+    return {
+      augmentedMessageId: message.id,
+      augmentResult: augments.reduce((sum, c) => sum + c.result, 0),
+      augmentedBy: augments[0]?.userId ?? null,
+      augmentDice: augments.reduce((sum, c) => sum + c.dice, 0),
+      augmentFlipped: flipped.length ? flipped.some(value => value) : null,
+      augmentPool: augments[0]?.pool ?? CrucibleRules.get().augmentDestination
+    };
+  },
+
+  /**
+   * Post or refresh the card listing the Crucible dice on a roll
+   * The card carries the contributions' rolls, so it keeps the usual roll
+   * tooltip; it is marked revoked once every die on it has been undone.
+   * @param {ChatMessage} message - Roll message
+   * @param {Object} [options]
+   * @param {string} [options.id] - ID for a new card (from getCardId)
+   * @returns {Promise<ChatMessage|null>} The card
+   */
+  async updateCard(message, { id = null } = {}) {
+    const cardId = message.getFlag("crucible-of-fate", "augmented")?.cardId;
+    let card = cardId ? game.messages.get(cardId) : null;
+
+    if (!this.getContributions(message).some(c => !c.inPlace)) {
+      await card?.setFlag("crucible-of-fate", "revoked", true);
+      return card;
+    }
+
+    const rolls = this.getContributions(message)
+      .filter(c => !c.inPlace && c.roll)
+      .map(c => Roll.fromJSON(c.roll));
+    const data = await CrucibleDice.messageData(rolls, this._formatCard(message));
+    if (card) {
+      await card.update({
+        content: data.content,
+        rolls: data.rolls.map(r => JSON.stringify(r)),
+        flags: { "crucible-of-fate": { ...this._cardFlags(message), "-=revoked": null } }
+      });
+      return card;
+    }
+
+    card = await ChatMessage.create({
+      _id: id ?? foundry.utils.randomID(),
+      speaker: ChatMessage.getSpeaker({ user: message.user }),
+      ...data,
+      flags: {
+        "crucible-of-fate": this._cardFlags(message)
+      }
+    }, { keepId: true });
+    await message.setFlag("crucible-of-fate", "augmented", { cardId: card.id });
+    return card;
+  },
+
+  /**
+   * Describe whether the Crucible dice changed the outcome
+   * @param {number} base - Roll total without Crucible dice
+   * @param {number} total - Roll total with Crucible dice
+   * @param {number} target - Target number
+   * @returns {string} Localized outcome
+   */
+  _formatOutcome(base, total, target) {
+    if (total >= target) {
+      return base >= target
+        ? game.i18n.format("crucible.augment.outcome.alreadySucceeded", { target })
+        : game.i18n.localize("crucible.augment.outcome.flipped");
+    }
+    if (base >= target) {
+      return game.i18n.localize("crucible.augment.outcome.countered");
+    }
+    return game.i18n.format("crucible.augment.outcome.stillFailed", {
+      target: target,
+      short: target - total
+    });
+  },
+
+  /**
+   * Check if the Crucible die should be folded into the original roll (dnd5e only)
+   * @param {ChatMessage} message - Roll message
+   * @returns {boolean} True if the roll can be updated in place
+   */
+  canApplyInPlace(message) {
+    return game.system.id === "dnd5e"
+      && game.settings.get("crucible-of-fate", "dnd5eInPlace")
+      && message.rolls?.length > 0;
+  },
+
+  /**
+   * Add the Crucible dice to the message's first roll as an extra "+ 1d6[Crucible]" term
+   * The roll keeps its class and options, so dnd5e recomputes the total and
+   * re-renders success or failure against the DC when the message updates.
+   * @param {ChatMessage} message - Roll message (GM-only update)
+   * @param {number[]} dice - Crucible die results
+   * @param {Object} [options]
+   * @param {boolean} [options.subtract] - Take the dice off the total ("- 1d6[Crucible]"), for GM counter-spends
+   * @returns {Promise<Object>} The original roll data and content, for undo
+   */
+  async applyInPlace(message, dice, { subtract = false } = {}) {
+    const original = message.rolls[0];
+    const originalContent = message.content;
+    const data = original.toJSON();
+    const faces = CrucibleRules.get().dieFaces;
+    const result = dice.reduce((sum, value) => sum + value, 0);
+    const operator = subtract ? "-" : "+";
+
+    data.terms.push(
+      { class: "OperatorTerm", options: {}, evaluated: true, operator: operator },
+      {
+        class: "Die",
+        options: { flavor: game.i18n.localize("crucible.augment.badge"), crucible: true },
+        evaluated: true,
+        number: dice.length,
+        faces: faces,
+        modifiers: [],
+        results: dice.map(value => ({ result: value, active: true }))
+      }
+    );
+    data.formula = `${data.formula} ${operator} ${dice.length}d${faces}[${game.i18n.localize("crucible.augment.badge")}]`;
+    data.total = original.total + (subtract ? -result : result);
+
+    const augmented = Roll.fromData(data);
+    const rolls = [augmented, ...message.rolls.slice(1)].map(r => JSON.stringify(r));
+
+    const update = { rolls };
+    if (Number.isNumeric(originalContent)) {
+      update.content = String(augmented.total);
+    }
+    await message.update(update);
+
+    return { roll: JSON.stringify(original), content: "content" in update ? originalContent : null };
+  },
+
+  /**
+   * Revert one contribution of Crucible dice to a roll
+   * In-place dice are taken back out of the roll; the card drops the contribution,
+   * or is marked revoked once nothing is left on it.
+   * @param {string} rollMessageId - Chat message ID of the augmented roll
+   * @param {string} augmentMessageId - Chat message ID of the augment card (the roll itself for in-place dice)
+   * @param {Object} [details] - Details recorded with the augment ({ contributionId, ... })
+   * @returns {Promise<void>}
+   */
+  async revokeAugment(rollMessageId, augmentMessageId, details = {}) {
+    const rollMessage = game.messages.get(rollMessageId);
+    const contributions = foundry.utils.deepClone(this.getContributions(rollMessage, { revoked: true }));
+    const contribution = contributions.findLast(c => !c.revoked && (!details.contributionId || c.id === details.contributionId));
+
+    if (contribution) {
+      contribution.revoked = true;
+      if (contribution.inPlace && contribution.originalRoll) {
+        const rolls = [contribution.originalRoll, ...rollMessage.rolls.slice(1).map(r => JSON.stringify(r))];
+        const update = { rolls };
+        if (contribution.originalContent !== null) {
+          update.content = contribution.originalContent;
+        }
+        await rollMessage.update(update);
+      }
+      await this.setContributions(rollMessage, contributions);
+    }
+
+    // In-place augments have no separate card
+    if (augmentMessageId === rollMessageId) return;
+
+    if (rollMessage) {
+      await this.updateCard(rollMessage);
+    } else {
+      await game.messages.get(augmentMessageId)?.setFlag("crucible-of-fate", "revoked", true);
+    }
+  },
+
+  /**
+   * Re-apply a previously revoked contribution
+   * @param {string} rollMessageId - Chat message ID of the augmented roll
+   * @param {string} augmentMessageId - Chat message ID of the augment card (the roll itself for in-place dice)
+   * @param {Object} [details] - Details recorded with the augment ({ contributionId, ... })
+   * @returns {Promise<void>}
+   */
+  async restoreAugment(rollMessageId, augmentMessageId, details = {}) {
+    const rollMessage = game.messages.get(rollMessageId);
+    if (!rollMessage) return;
+
+    const contributions = foundry.utils.deepClone(this.getContributions(rollMessage, { revoked: true }));
+    const contribution = contributions.findLast(c => c.revoked && (!details.contributionId || c.id === details.contributionId));
+    if (!contribution) return;
+
+    contribution.revoked = false;
+
+    // Armed dice added by a pre-roll hook never left the roll
+    if (contribution.inPlace && contribution.originalRoll) {
+      const original = await this.applyInPlace(rollMessage, contribution.results, { subtract: !!contribution.subtract });
+      contribution.originalRoll = original.roll;
+      contribution.originalContent = original.content;
+    }
+    await this.setContributions(rollMessage, contributions);
+
+    if (augmentMessageId !== rollMessageId) {
+      await this.updateCard(rollMessage);
+    }
   }
 };
@@ -0,0 +1,229 @@
+/**
+ * Crucible of Fate - Roll Classifiers
+ * Per-system adapters that decide whether a chat roll is a skill check, a saving throw or something else
+ */
+
+/**
+ * Roll categories returned by classifiers
+ */
+export const RollCategory = {
+  SKILL: "skill",
+  SAVE: "save",
+  OTHER: "other"
+};
+
+export const RollClassifiers = {
+  /**
+   * Registered classifiers keyed by game.system.id
+   */
+  adapters: new Map(),
+
+  /**
+   * Registered target (DC) lookups keyed by game.system.id
+   */
+  targets: new Map(),
+
+  /**
+   * Register a classifier for a game system, replacing any existing one
+   * The classifier returns a RollCategory, or null if it cannot tell (the
+   * text heuristic is used in that case).
+   * @param {string} systemId - game.system.id the classifier applies to
+   * @param {Function} classifier - (message: ChatMessage) => string|null
+   */
+  register(systemId, classifier) {
+    if (typeof classifier !== "function") {
+      throw new Error(`Crucible of Fate | Roll classifier for "${systemId}" must be a function`);
+    }
+    this.adapters.set(systemId, classifier);
+  },
+
+  /**
+   * Register a target (DC) lookup for a game system, replacing any existing one
+   * @param {string} systemId - game.system.id the lookup applies to
+   * @param {Function} lookup - (message: ChatMessage) => number|null
+   */
+  registerTarget(systemId, lookup) {
+    if (typeof lookup !== "function") {
+      throw new Error(`Crucible of Fate | Target lookup for "${systemId}" must be a function`);
+    }
+    this.targets.set(systemId, lookup);
+  },
+
+  /**
+   * Find the target number (DC) a roll is made against, if known
+   * Priority: system lookup > the roll's own "target" option
+   * @param {ChatMessage} message - Chat message containing the roll
+   * @returns {number|null} Target number
+   */
+  getTarget(message) {
+    const lookup = this.targets.get(game.system.id);
+    if (lookup) {
+      try {
+        const target = lookup(message);
+        if (Number.isFinite(target)) return target;
+      } catch (error) {
+        console.warn(`Crucible of Fate | Target lookup for "${game.system.id}" failed:`, error);
+      }
+    }
+
+    const target = Number(message.rolls?.[0]?.options?.target);
+    return Number.isFinite(target) && target > 0 ? target : null;
+  },
+
+  /**
+   * Check if the current system has a classifier
+   * @param {string} [systemId] - System ID (defaults to the current system)
+   * @returns {boolean} True if registered
+   */
+  has(systemId = game.system.id) {
+    return this.adapters.has(systemId);
+  },
+
+  /**
+   * Classify a roll message
+   * Priority: system adapter > flavor text heuristics
+   * @param {ChatMessage} message - Chat message containing the roll
+   * @returns {string} One of RollCategory
+   */
+  classify(message) {
+    const adapter = this.adapters.get(game.system.id);
+    if (adapter) {
+      try {
+        const category = adapter(message);
+        if (category) return category;
+      } catch (error) {
+        console.warn(`Crucible of Fate | Roll classifier for "${game.system.id}" failed:`, error);
+      }
+    }
+
+    return this.classifyByText(message);
+  },
+
+  /**
+   * Fallback classification from the message's flavor and content
+   * @param {ChatMessage} message - Chat message containing the roll
+   * @returns {string} One of RollCategory
+   */
+  classifyByText(message) {
+    const text = `${message.flavor || ""} ${message.content || ""}`.toLowerCase();
+
+    if (/\bsaving throw\b/.test(text)) {
+      return RollCategory.SAVE;
+    }
+
+    // Exclude attack rolls
+    if (/\battack\b/.test(text)) {
+      return RollCategory.OTHER;
+    }
+
+    if (/\bsave\b/.test(text)) {
+      return RollCategory.SAVE;
+    }
+
+    if (/\bskill\b|\b(ability|attribute|skill) check\b/.test(text)) {
+      return RollCategory.SKILL;
+    }
+
+    return RollCategory.OTHER;
+  }
+};
+
+/**
+ * D&D 5e: flags.dnd5e.roll.type
+ */
+RollClassifiers.register("dnd5e", message => {
+  const type = message.flags?.dnd5e?.roll?.type;
+  if (!type) return null;
+  if (["skill", "ability", "tool"].includes(type)) return RollCategory.SKILL;
+  if (["save", "savingThrow", "death"].includes(type)) return RollCategory.SAVE;
+  return RollCategory.OTHER;
+});
+
+/**
+ * D&D 5e: a save made from an item card takes the DC from the most recent
+ * card offering that save (the roll's own "target" option is used otherwise)
+ */
+RollClassifiers.registerTarget("dnd5e", message => {
+  const roll = message.flags?.dnd5e?.roll;
+  if (roll?.type !== "save") return null;
+
+  const messages = game.messages.contents;
+  const index = messages.findIndex(m => m.id === message.id);
+  for (let i = index - 1; i >= Math.max(0, index - 20); i--) {
+    const card = document.createElement("div");
+    card.innerHTML = messages[i].content || "";
+
+    const buttons = card.querySelectorAll("[data-action='save'], [data-action='rollSave']");
+    for (const button of buttons) {
+      if (roll.abilityId && button.dataset.ability && button.dataset.ability !== roll.abilityId) continue;
+      const dc = Number(button.dataset.dc ?? button.textContent.match(/DC\s*(\d+)/i)?.[1]);
+      if (Number.isFinite(dc) && dc > 0) return dc;
+    }
+  }
+  return null;
+});
+
+/**
+ * Pathfinder 2e: flags.pf2e.context.type
+ */
+RollClassifiers.register("pf2e", message => {
+  const type = message.flags?.pf2e?.context?.type;
+  if (!type) return null;
+  if (type === "skill-check" || type === "perception-check") return RollCategory.SKILL;
+  if (type === "saving-throw") return RollCategory.SAVE;
+  return RollCategory.OTHER;
+});
+
+/**
+ * Pathfinder 2e: flags.pf2e.context.dc
+ */
+RollClassifiers.registerTarget("pf2e", message => {
+  return message.flags?.pf2e?.context?.dc?.value ?? null;
+});
+
+/**
+ * Pathfinder 1e: flags.pf1.subject ({ skill }, { save }, { ability }, ...)
+ */
+RollClassifiers.register("pf1", message => {
+  const pf1 = message.flags?.pf1;
+  if (!pf1) return null;
+
+  const subject = pf1.subject ?? {};
+  if (subject.skill || subject.ability) return RollCategory.SKILL;
+  if (subject.save) return RollCategory.SAVE;
+
+  // Attack and spell cards carry item metadata
+  if (pf1.metadata || Object.keys(subject).length) return RollCategory.OTHER;
+  return null;
+});
+
+/**
+ * Savage Worlds: trait rolls (skills and attributes) vs. damage and other rolls
+ * Attribute rolls double as SWADE's resistance rolls, so Vigor, Spirit and
+ * friends are treated as saves.
+ */
+RollClassifiers.register("swade", message => {
+  const roll = message.rolls?.[0];
+  if (!roll) return null;
+
+  const rollClass = roll.constructor?.name;
+  if (rollClass === "DamageRoll") return RollCategory.OTHER;
+  if (rollClass !== "TraitRoll") return null;
+
+  const flavor = (message.flavor || "").toLowerCase();
+  const attributes = ["agility", "smarts", "spirit", "strength", "vigor"];
+  if (attributes.some(name => flavor.includes(name))) return RollCategory.SAVE;
+  if (/\b(fighting|shooting)\b/.test(flavor)) return RollCategory.OTHER;
+  return RollCategory.SKILL;
+});
+
+/**
+ * Call of Cthulhu 7e: flags.CoC7.load.as names the chat card class
+ */
+RollClassifiers.register("CoC7", message => {
+  const card = message.flags?.CoC7?.load?.as;
+  if (!card) return null;
+  if (card === "CoC7Check") return RollCategory.SKILL;
+  if (card === "CoC7ConCheck" || card === "CoC7SanCheckCard") return RollCategory.SAVE;
+  return RollCategory.OTHER;
+});
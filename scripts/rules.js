@@ -0,0 +1,103 @@
+/**
+ * Crucible of Fate - Rules
+ * GM-configurable mechanics for Crucible variants (die size, seeding thresholds, spends, display)
+ */
+
+/**
+ * Rules as written: d6, 1-3 seeds the GM Pool, one die per augment
+ */
+export const DEFAULT_RULES = {
+  dieFaces: 6,
+  gmSeedMax: 3,
+  augmentDice: 1,
+  maxDicePerRoll: 1,
+  augmentDestination: "gm",
+  gmSpendDestination: "player",
+  displayCap: 12
+};
+
+/**
+ * Die sizes offered in the configuration menu
+ */
+export const DIE_FACES = [4, 6, 8, 10, 12, 20];
+
+export const CrucibleRules = {
+  /**
+   * Get the current rules, filled in with defaults and clamped to sane values
+   * @returns {Object} Rules
+   */
+  get() {
+    const stored = game.settings.get("crucible-of-fate", "rules") ?? {};
+    return this.normalize({ ...DEFAULT_RULES, ...stored });
+  },
+
+  /**
+   * Save new rules (GM-only)
+   * @param {Object} rules - Rules to store (missing keys keep their defaults)
+   * @returns {Promise<Object>} Stored rules
+   */
+  async set(rules) {
+    const normalized = this.normalize({ ...DEFAULT_RULES, ...rules });
+    await game.settings.set("crucible-of-fate", "rules", normalized);
+    return normalized;
+  },
+
+  /**
+   * Clamp rule values into their valid ranges
+   * @param {Object} rules - Rules to check
+   * @returns {Object} Valid rules
+   */
+  normalize(rules) {
+    const int = (value, min, max, fallback) => {
+      const number = Number.parseInt(value, 10);
+      return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+    };
+
+    const dieFaces = DIE_FACES.includes(Number(rules.dieFaces)) ? Number(rules.dieFaces) : DEFAULT_RULES.dieFaces;
+    const maxDicePerRoll = int(rules.maxDicePerRoll, 1, 10, DEFAULT_RULES.maxDicePerRoll);
+    return {
+      dieFaces: dieFaces,
+      gmSeedMax: int(rules.gmSeedMax, 0, dieFaces, Math.floor(dieFaces / 2)),
+      augmentDice: int(rules.augmentDice, 1, maxDicePerRoll, 1),
+      maxDicePerRoll: maxDicePerRoll,
+      augmentDestination: rules.augmentDestination === "player" ? "player" : "gm",
+      gmSpendDestination: rules.gmSpendDestination === "gm" ? "gm" : "player",
+      displayCap: int(rules.displayCap, 1, 50, DEFAULT_RULES.displayCap)
+    };
+  },
+
+  /**
+   * Roll formula for a number of Crucible dice
+   * @param {number} [count=1] - Number of dice
+   * @returns {string} e.g. "1d6"
+   */
+  formula(count = 1) {
+    return `${count}d${this.get().dieFaces}`;
+  },
+
+  /**
+   * Formula for one augment
+   * @returns {string} e.g. "1d6"
+   */
+  augmentFormula() {
+    return this.formula(this.get().augmentDice);
+  },
+
+  /**
+   * Check if a value is a possible seed result
+   * @param {number} value - Seed result
+   * @returns {boolean} True if between 1 and the die size
+   */
+  isValidSeed(value) {
+    return Number.isInteger(value) && value >= 1 && value <= this.get().dieFaces;
+  },
+
+  /**
+   * Pool a seed result goes to
+   * @param {number} value - Seed result
+   * @returns {string} "gm" or "player"
+   */
+  seedPool(value) {
+    return value <= this.get().gmSeedMax ? "gm" : "player";
+  }
+};
@@ -0,0 +1,236 @@
+/**
+ * Crucible of Fate - Sessions
+ * Begin/End Session lifecycle, end-of-session reports and the stored history of past sessions
+ */
+
+import { CrucibleState } from "./state.js";
+import { CrucibleSocket } from "./socket.js";
+import { CrucibleAuditLog } from "./auditLog.js";
+import { CrucibleStatistics } from "./statistics.js";
+import { CrucibleError, CrucibleErrorCode } from "./errors.js";
+
+/**
+ * Maximum number of past session reports kept (oldest are dropped first)
+ */
+const MAX_SESSIONS = 100;
+
+export const CrucibleSessions = {
+  /**
+   * Get the running session, if any
+   * @param {Object} [state] - State to read (defaults to current state)
+   * @returns {Object|null} { id, startedAt, start }
+   */
+  getActive(state = CrucibleState.getState()) {
+    return state.session ?? null;
+  },
+
+  /**
+   * Get the reports of past sessions, oldest first
+   * @returns {Array<Object>} Session reports
+   */
+  getHistory() {
+    return game.settings.get("crucible-of-fate", "sessionHistory") || [];
+  },
+
+  /**
+   * Begin a session, snapshotting the pools (GM-only)
+   * @returns {Promise<Object>} The new session
+   * @fires crucible.sessionStarted - (session)
+   */
+  async begin() {
+    if (!game.user.isGM) {
+      throw new CrucibleError(CrucibleErrorCode.GM_ONLY);
+    }
+
+    const newState = await CrucibleState.updateState(state => {
+      if (state.session) {
+        throw new CrucibleError(CrucibleErrorCode.SESSION_ACTIVE);
+      }
+      return {
+        session: {
+          id: foundry.utils.randomID(),
+          startedAt: new Date().toISOString(),
+          start: this._snapshot(state)
+        }
+      };
+    }, { action: "sessionStart" });
+
+    CrucibleSocket.broadcastStateUpdate(newState);
+    Hooks.callAll("crucible.sessionStarted", newState.session);
+    return newState.session;
+  },
+
+  /**
+   * End the running session, store its report and post the summary card (GM-only)
+   * @returns {Promise<Object>} Session report
+   * @fires crucible.sessionEnded - (report)
+   */
+  async end() {
+    if (!game.user.isGM) {
+      throw new CrucibleError(CrucibleErrorCode.GM_ONLY);
+    }
+
+    let session = null;
+    const newState = await CrucibleState.updateState(state => {
+      if (!state.session) {
+        throw new CrucibleError(CrucibleErrorCode.NO_SESSION);
+      }
+      session = state.session;
+      return { session: null };
+    }, { action: "sessionEnd" });
+
+    CrucibleSocket.broadcastStateUpdate(newState);
+
+    const report = this.buildReport(session, newState, CrucibleAuditLog.getEntries());
+    const history = [...this.getHistory(), report].slice(-MAX_SESSIONS);
+    await game.settings.set("crucible-of-fate", "sessionHistory", history);
+    await this.postSummary(report);
+
+    Hooks.callAll("crucible.sessionEnded", report);
+    return report;
+  },
+
+  /**
+   * Delete a stored session report (GM-only)
+   * @param {string} sessionId - Report ID
+   * @returns {Promise<void>}
+   */
+  async deleteReport(sessionId) {
+    if (!game.user.isGM) {
+      throw new CrucibleError(CrucibleErrorCode.GM_ONLY);
+    }
+    const history = this.getHistory().filter(report => report.id !== sessionId);
+    await game.settings.set("crucible-of-fate", "sessionHistory", history);
+  },
+
+  /**
+   * Build a session report from the chat and audit entries recorded while it ran
+   * Augments are read from the rolls' flags, so dice the GM undid are left out.
+   * @param {Object} session - Session as stored in the state
+   * @param {Object} endState - State when the session ended
+   * @param {Array<Object>} entries - Audit log entries
+   * @returns {Object} Report
+   */
+  buildReport(session, endState, entries) {
+    const endedAt = new Date().toISOString();
+    const inSession = entries.filter(entry => entry.timestamp >= session.startedAt && entry.timestamp <= endedAt);
+    const statistics = CrucibleStatistics.collect({
+      from: new Date(session.startedAt).getTime(),
+      to: new Date(endedAt).getTime()
+    });
+
+    const gmSpends = { spends: 0, dice: 0, results: [], labels: [] };
+    let seeds = 0;
+    let moves = 0;
+
+    for (const entry of inSession) {
+      const details = entry.details ?? {};
+      switch (entry.action) {
+        case "rollGmDie":
+        case "counterSpend":
+          gmSpends.spends += 1;
+          gmSpends.dice += details.count ?? 1;
+          gmSpends.results.push(details.result);
+          if (details.label) gmSpends.labels.push(details.label);
+          break;
+        case "seed":
+          seeds += 1;
+          break;
+        case "move":
+          moves += 1;
+          break;
+      }
+    }
+
+    return {
+      id: session.id,
+      startedAt: session.startedAt,
+      endedAt: endedAt,
+      start: session.start,
+      end: this._snapshot(endState),
+      players: statistics.players,
+      augments: statistics.augments,
+      augmentAverage: statistics.augmentAverage,
+      gmSpends: { ...gmSpends, average: CrucibleStatistics.average(gmSpends.results) },
+      seeds: seeds,
+      moves: moves
+    };
+  },
+
+  /**
+   * Post the end-of-session summary card
+   * @param {Object} report - Session report
+   * @returns {Promise<ChatMessage>}
+   */
+  async postSummary(report) {
+    const data = this.formatReport(report);
+    const dash = game.i18n.localize("crucible.session.none");
+    const lines = [
+      `<h3>${game.i18n.localize("crucible.session.summaryTitle")}</h3>`,
+      `<div class="crucible-session-meta">${data.date} · ${data.duration}</div>`,
+      `${game.i18n.localize("crucible.playerPool")}: ${report.start.playerPoolCount} → ${report.end.playerPoolCount}<br>`,
+      `${game.i18n.localize("crucible.gmPool")}: ${report.start.gmPoolCount} → ${report.end.gmPoolCount}`
+    ];
+
+    lines.push(`<h4>${game.i18n.localize("crucible.session.augments")}</h4>`);
+    if (data.hasPlayers) {
+      const players = report.players.map(player => `<li>${game.i18n.format("crucible.session.playerLine", {
+        name: Handlebars.escapeExpression(player.name),
+        count: player.augments,
+        results: player.results.join(", "),
+        average: player.average ?? dash
+      })}</li>`);
+      lines.push(`<ul>${players.join("")}</ul>`);
+    } else {
+      lines.push(`<p>${dash}</p>`);
+    }
+
+    lines.push(`<h4>${game.i18n.localize("crucible.session.gmSpends")}</h4>`);
+    lines.push(`<p>${game.i18n.format("crucible.session.gmSpendLine", {
+      count: report.gmSpends.spends,
+      dice: report.gmSpends.dice,
+      average: report.gmSpends.average ?? dash
+    })}</p>`);
+
+    return await ChatMessage.create({
+      speaker: { alias: game.i18n.localize("crucible.title") },
+      content: `<div class="crucible-chat-message crucible-session-summary">${lines.join("")}</div>`,
+      flags: {
+        "crucible-of-fate": {
+          sessionReport: report.id
+        }
+      }
+    });
+  },
+
+  /**
+   * Prepare a report for display
+   * @param {Object} report - Session report
+   * @returns {Object} Report with formatted dates and duration
+   */
+  formatReport(report) {
+    const minutes = Math.round((new Date(report.endedAt) - new Date(report.startedAt)) / 60000);
+    return {
+      ...report,
+      date: new Date(report.startedAt).toLocaleDateString(),
+      duration: game.i18n.format("crucible.session.duration", {
+        hours: Math.floor(minutes / 60),
+        minutes: String(minutes % 60).padStart(2, "0")
+      }),
+      hasPlayers: report.players.length > 0
+    };
+  },
+
+  /**
+   * Copy the pool counts from a state object
+   * @param {Object} state - State object
+   * @returns {Object} { playerPoolCount, gmPoolCount, armed }
+   */
+  _snapshot(state) {
+    return {
+      playerPoolCount: state.playerPoolCount,
+      gmPoolCount: state.gmPoolCount,
+      armed: CrucibleState.getArmedCount(state)
+    };
+  }
+};
@@ -1,11 +1,59 @@
 /**
  * Crucible of Fate - Socket System
  * GM-authoritative event handling for multiplayer synchronization
+ *
+ * When several GMs are connected, only one of them (the authoritative GM) answers
+ * player requests; the others mirror state and keep their manual controls.
  */
 
 import { CrucibleState } from "./state.js";
+import { CrucibleError, CrucibleErrorCode } from "./errors.js";
+import { CrucibleRitual } from "./ritual.js";
+import { CrucibleAttendance } from "./attendance.js";
+import { CrucibleRules } from "./rules.js";
+import { APPROVAL_TIMEOUT_MS } from "./approvals.js";
+
+/**
+ * How long a player waits for the GM to acknowledge a request
+ */
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * How long a timed-out request is remembered, so a late answer from the GM can still be reported
+ */
+const EXPIRED_REQUEST_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * How long GMs remember answered requests, so a request re-sent to a new authority is not applied twice
+ */
+const HANDLED_REQUEST_TTL_MS = 5 * 60 * 1000;
 
 export const CrucibleSocket = {
+  /**
+   * Requests sent by this client that are waiting for a response, keyed by request ID
+   */
+  pendingRequests: new Map(),
+
+  /**
+   * Requests sent by this client that timed out, keyed by request ID, with the time they expired
+   */
+  expiredRequests: new Map(),
+
+  /**
+   * GM-side handlers for request types, keyed by type
+   */
+  requestHandlers: new Map(),
+
+  /**
+   * Requests seen by this GM, keyed by request ID, with the response once there is one
+   */
+  handledRequests: new Map(),
+
+  /**
+   * User ID of the authoritative GM as last seen by this client
+   */
+  authorityId: null,
+
   /**
    * Register socket event handlers
    */
@@ -17,23 +65,48 @@ export const CrucibleSocket = {
         case "stateUpdate":
           this.handleStateUpdate(payload);
           break;
+        case "requestSnapshot":
+          // Authoritative GM only
+          if (this.isAuthority()) {
+            this.sendSnapshot(payload.userId);
+          }
+          break;
+        case "stateSnapshot":
+          if (payload.userId === game.user.id) {
+            this.handleStateUpdate(payload.state);
+          }
+          break;
         case "seedStarted":
           this.handleSeedStarted(payload);
           break;
         case "seedComplete":
           this.handleSeedComplete(payload);
           break;
-        case "seedResult":
-          // GM-only handler
-          if (game.user.isGM) {
-            Hooks.callAll("crucible.handleSeedResult", payload.userId, payload.result);
+        case "seedPrompt":
+          if (payload.userId === game.user.id) {
+            Hooks.callAll("crucible.seedPrompt", payload);
           }
           break;
+        case "seedDismiss":
+          if (payload.userId === game.user.id) {
+            Hooks.callAll("crucible.seedDismiss", payload);
+          }
+          break;
+        case "seedResult":
         case "requestAugment":
-          // GM-only handler
+        case "armCrucible":
+        case "disarmCrucible":
+          // Authoritative GM only, so a request is processed exactly once
+          if (this.isAuthority()) {
+            this.handleRequest(type, payload);
+          }
+          break;
+        case "response":
+          // Every GM remembers answers, in case it becomes the authority and the request is re-sent
           if (game.user.isGM) {
-            Hooks.callAll("crucible.handleAugmentRequest", payload.userId, payload.messageId);
+            this.rememberResponse(payload);
           }
+          this.handleResponse(payload);
           break;
         default:
           console.warn(`Unknown socket event type: ${type}`);
@@ -43,11 +116,301 @@ export const CrucibleSocket = {
 
   /**
    * Handle state update broadcast from GM
+   * Broadcasts older than the local state are ignored; a gap in revisions means
+   * updates were missed, so a full snapshot is requested.
    * @param {Object} payload - New state data
    */
   handleStateUpdate(payload) {
+    const localRevision = CrucibleState.getState().revision;
+    if (!CrucibleState.receiveState(payload)) {
+      return;
+    }
+
+    if (payload.revision > localRevision + 1) {
+      this.requestSnapshot();
+    }
+
     // Trigger UI update for all users
-    Hooks.callAll("crucible.stateUpdated", payload);
+    Hooks.callAll("crucible.stateUpdated", CrucibleState.getState());
+  },
+
+  /**
+   * Ask the GM for a full copy of the current state
+   */
+  requestSnapshot() {
+    game.socket.emit("module.crucible-of-fate", {
+      type: "requestSnapshot",
+      payload: { userId: game.user.id }
+    });
+  },
+
+  /**
+   * Send the current state to a single user
+   * @param {string} userId - Requesting user ID
+   */
+  sendSnapshot(userId) {
+    game.socket.emit("module.crucible-of-fate", {
+      type: "stateSnapshot",
+      payload: {
+        userId: userId,
+        state: CrucibleState.getState()
+      }
+    });
+  },
+
+  /**
+   * Register the GM-side handler for a request type
+   * The handler's return value is sent back to the requester; a thrown
+   * CrucibleError is sent back as a typed error.
+   * @param {string} type - Request type
+   * @param {Function} handler - async (userId, payload) => data
+   */
+  registerRequestHandler(type, handler) {
+    this.requestHandlers.set(type, handler);
+  },
+
+  /**
+   * Send a request to the GM and wait for the acknowledgement
+   * @param {string} type - Request type
+   * @param {Object} payload - Request data
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Milliseconds to wait for the GM (0 = wait until answered)
+   * @param {boolean} [options.queued] - The GM holds the request in a queue, so it is not re-sent to a new GM
+   * @returns {Promise<Object>} Data returned by the GM's handler
+   */
+  request(type, payload, { timeout = REQUEST_TIMEOUT_MS, queued = false } = {}) {
+    if (!this.getAuthoritativeGM()) {
+      return Promise.reject(new CrucibleError(CrucibleErrorCode.NO_GM));
+    }
+
+    const requestId = foundry.utils.randomID();
+    const promise = new Promise((resolve, reject) => {
+      const timer = timeout ? setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        this.expiredRequests.set(requestId, Date.now());
+        Hooks.callAll("crucible.requestsChanged");
+        reject(new CrucibleError(CrucibleErrorCode.TIMEOUT));
+      }, timeout) : null;
+
+      this.pendingRequests.set(requestId, { type, payload, resolve, reject, timer, queued });
+    });
+    Hooks.callAll("crucible.requestsChanged");
+
+    game.socket.emit("module.crucible-of-fate", {
+      type: type,
+      payload: {
+        ...payload,
+        requestId: requestId,
+        userId: game.user.id
+      }
+    });
+
+    return promise;
+  },
+
+  /**
+   * Check if this client is waiting on a request
+   * @param {Function} [predicate] - Optional ({ type, payload }) => boolean filter
+   * @returns {boolean} True if a matching request is in flight
+   */
+  hasPendingRequest(predicate = () => true) {
+    for (const pending of this.pendingRequests.values()) {
+      if (predicate(pending)) return true;
+    }
+    return false;
+  },
+
+  /**
+   * GM runs the handler for an incoming request and responds to the requester
+   * @param {string} type - Request type
+   * @param {Object} payload - Request data (includes requestId and userId)
+   * @returns {Promise<void>}
+   */
+  async handleRequest(type, payload) {
+    // A re-sent request that was already handled gets the same answer again
+    if (payload.requestId) {
+      const handled = this.handledRequests.get(payload.requestId);
+      if (handled) {
+        if (handled.response) this.sendResponse(handled.response);
+        return;
+      }
+      this.handledRequests.set(payload.requestId, { response: null, time: Date.now() });
+    }
+
+    const handler = this.requestHandlers.get(type);
+    let response;
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for ${type}`);
+      }
+      const data = await handler(payload.userId, payload);
+      response = { ok: true, data: data ?? null };
+    } catch (error) {
+      if (error instanceof CrucibleError) {
+        console.warn(`Crucible of Fate | Rejected ${type} from ${payload.userId}: ${error.code}`);
+      } else {
+        console.error(`Crucible of Fate | Error processing ${type}:`, error);
+        ui.notifications.error(error.message);
+      }
+      response = { ok: false, error: { code: error.code ?? CrucibleErrorCode.UNKNOWN, params: error.params ?? {} } };
+    }
+
+    // Requests from older clients carry no ID and expect no answer
+    if (!payload.requestId) return;
+
+    response = { requestId: payload.requestId, userId: payload.userId, ...response };
+    this.rememberResponse(response);
+    this.sendResponse(response);
+  },
+
+  /**
+   * Send a request's answer to the requester
+   * @param {Object} response - Response data (includes requestId and userId)
+   */
+  sendResponse(response) {
+    game.socket.emit("module.crucible-of-fate", {
+      type: "response",
+      payload: response
+    });
+  },
+
+  /**
+   * Record the answer to a request, dropping answers older than HANDLED_REQUEST_TTL_MS
+   * @param {Object} response - Response data (includes requestId and userId)
+   */
+  rememberResponse(response) {
+    const now = Date.now();
+    for (const [requestId, handled] of this.handledRequests) {
+      if (now - handled.time > HANDLED_REQUEST_TTL_MS) this.handledRequests.delete(requestId);
+    }
+    this.handledRequests.set(response.requestId, { response, time: now });
+  },
+
+  /**
+   * Resolve or reject a pending request when the GM responds
+   * A response to a request that already timed out is reported to the player,
+   * since the GM may have spent the die after all.
+   * @param {Object} payload - Response data
+   */
+  handleResponse(payload) {
+    if (payload.userId !== game.user.id) return;
+
+    const pending = this.pendingRequests.get(payload.requestId);
+    if (!pending) {
+      this.handleLateResponse(payload);
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(payload.requestId);
+    Hooks.callAll("crucible.requestsChanged");
+
+    if (payload.ok) {
+      pending.resolve(payload.data);
+    } else {
+      pending.reject(CrucibleError.fromResponse(payload.error));
+    }
+  },
+
+  /**
+   * Tell the player how a request that already timed out was answered
+   * @param {Object} payload - Response data
+   */
+  handleLateResponse(payload) {
+    const now = Date.now();
+    for (const [requestId, expired] of this.expiredRequests) {
+      if (now - expired > EXPIRED_REQUEST_TTL_MS) this.expiredRequests.delete(requestId);
+    }
+    if (!this.expiredRequests.delete(payload.requestId)) return;
+
+    if (payload.ok) {
+      ui.notifications.info(game.i18n.localize("crucible.requests.lateSuccess"));
+    } else {
+      ui.notifications.warn(game.i18n.format("crucible.requests.lateFailure", {
+        error: CrucibleError.fromResponse(payload.error).message
+      }));
+    }
+  },
+
+  /**
+   * Get the GM elected to process requests
+   * Full GMs are preferred over assistants, then the lowest user ID wins, so
+   * every client independently agrees on the same user.
+   * @returns {User|null} Authoritative GM, or null if no GM is connected
+   */
+  getAuthoritativeGM() {
+    const gms = game.users.filter(user => user.isGM && user.active);
+    gms.sort((a, b) => (b.role - a.role) || a.id.localeCompare(b.id));
+    return gms[0] ?? null;
+  },
+
+  /**
+   * Check if this client is the authoritative GM
+   * @returns {boolean} True if this user processes requests
+   */
+  isAuthority() {
+    return this.getAuthoritativeGM()?.id === game.user.id;
+  },
+
+  /**
+   * Re-run the election after a user connects or disconnects
+   * Fires crucible.authorityChanged when the authoritative GM changes.
+   * @returns {boolean} True if the authoritative GM changed
+   */
+  updateAuthority() {
+    const authority = this.getAuthoritativeGM();
+    const authorityId = authority?.id ?? null;
+    if (authorityId === this.authorityId) {
+      return false;
+    }
+
+    const previousId = this.authorityId;
+    this.authorityId = authorityId;
+    Hooks.callAll("crucible.authorityChanged", authority, previousId);
+
+    if (previousId) {
+      this.rejectWaitingRequests();
+    }
+
+    // Requests sent to a GM who has left would otherwise only time out
+    if (authority && previousId) {
+      this.resendPendingRequests();
+    }
+    return true;
+  },
+
+  /**
+   * Give up on requests held in the GM's queue (augments awaiting approval)
+   * They sit in the previous authority's memory, so they would otherwise only time out.
+   */
+  rejectWaitingRequests() {
+    let changed = false;
+    for (const [requestId, pending] of this.pendingRequests) {
+      if (!pending.queued) continue;
+      this.pendingRequests.delete(requestId);
+      pending.reject(new CrucibleError(CrucibleErrorCode.AUTHORITY_CHANGED));
+      changed = true;
+    }
+    if (changed) {
+      Hooks.callAll("crucible.requestsChanged");
+    }
+  },
+
+  /**
+   * Re-send in-flight requests (e.g. to a newly elected GM)
+   */
+  resendPendingRequests() {
+    for (const [requestId, pending] of this.pendingRequests) {
+      game.socket.emit("module.crucible-of-fate", {
+        type: pending.type,
+        payload: {
+          ...pending.payload,
+          requestId: requestId,
+          userId: game.user.id
+        }
+      });
+    }
   },
 
   /**
@@ -75,132 +438,165 @@ export const CrucibleSocket = {
       throw new Error("Only GM can start seeding");
     }
 
-    // Clear seeded players
-    await CrucibleState.updateState({
+    const expected = CrucibleState.getActivePlayers(
+      game.settings.get("crucible-of-fate", "requireCharacterOwnership")
+    ).map(user => user.id);
+
+    const timeout = game.settings.get("crucible-of-fate", "ritualTimeout");
+    const now = Date.now();
+
+    // Empty the pools, clear seeded players and release armed dice; the ritual refills them
+    const newState = await CrucibleState.updateState({
+      playerPoolCount: 0,
+      gmPoolCount: 0,
+      armed: {},
       seededPlayers: [],
-      lastSeededAt: null
-    });
+      skippedPlayers: [],
+      lastSeededAt: null,
+      ritual: {
+        active: true,
+        startedAt: new Date(now).toISOString(),
+        deadline: timeout > 0 ? new Date(now + timeout * 1000).toISOString() : null,
+        expected: expected,
+        entries: Object.fromEntries(expected.map(id => [id, { status: "pending", value: null, source: null }]))
+      }
+    }, { action: "seedStart", details: { expected: expected.length } });
+
+    this.broadcastStateUpdate(newState);
 
     // Broadcast to all clients
+    const payload = {
+      activePlayers: expected.length,
+      expected: expected
+    };
     game.socket.emit("module.crucible-of-fate", {
       type: "seedStarted",
-      payload: {
-        activePlayers: CrucibleState.getActivePlayerCount(
-          game.settings.get("crucible-of-fate", "requireCharacterOwnership")
-        )
-      }
+      payload: payload
     });
+    Hooks.callAll("crucible.seedStarted", payload);
+
+    // Nobody to wait for
+    if (expected.length === 0) {
+      await CrucibleRitual.finish();
+    }
   },
 
   /**
    * Player submits seed result
-   * @param {number} result - Dice result (1-6)
-   * @returns {Promise<void>}
+   * @param {number} result - Dice result (1 to the configured die size)
+   * @returns {Promise<Object>} GM acknowledgement ({ pool })
    */
   async submitSeedResult(result) {
     if (game.user.isGM) {
       throw new Error("GM cannot submit seed results");
     }
 
-    if (result < 1 || result > 6) {
-      throw new Error("Seed result must be between 1 and 6");
+    if (!CrucibleRules.isValidSeed(result)) {
+      throw new CrucibleError(CrucibleErrorCode.INVALID_SEED);
     }
 
     // Send to GM for validation
-    game.socket.emit("module.crucible-of-fate", {
-      type: "seedResult",
-      payload: {
-        userId: game.user.id,
-        result: result
-      }
-    });
+    return this.request("seedResult", { result: result });
   },
 
   /**
    * GM processes seed result from player
    * @param {string} userId - User ID
-   * @param {number} result - Dice result (1-6)
-   * @returns {Promise<void>}
+   * @param {number} result - Dice result (1 to the configured die size)
+   * @param {Object} [options]
+   * @param {string} [options.source] - "player" if submitted by the player, "gm" if rolled or entered by the GM
+   * @returns {Promise<Object>} Acknowledgement data ({ pool })
    */
-  async processSeedResult(userId, result) {
+  async processSeedResult(userId, result, { source = "player" } = {}) {
     if (!game.user.isGM) {
       throw new Error("Only GM can process seed results");
     }
 
-    const state = CrucibleState.getState();
-    
-    // Check if player already seeded
-    if (state.seededPlayers.includes(userId)) {
-      console.warn(`User ${userId} already seeded`);
-      return;
+    if (!CrucibleRules.isValidSeed(result)) {
+      throw new CrucibleError(CrucibleErrorCode.INVALID_SEED);
     }
 
-    // Assign die to pool: 1-3 → GM Pool, 4-6 → Player Pool
-    const delta = {};
-    if (result >= 1 && result <= 3) {
-      delta.gmPoolCount = state.gmPoolCount + 1;
-    } else {
-      delta.playerPoolCount = state.playerPoolCount + 1;
-    }
+    let lateSeed = false;
+
+    // Update state (computed inside the write queue so simultaneous results don't collide)
+    const newState = await CrucibleState.updateState(state => {
+      // Outside the ritual, only late joiners waiting for their die may seed
+      lateSeed = !state.ritual?.active && state.pendingSeeds.includes(userId);
+      if (!state.ritual?.active && !lateSeed) {
+        throw new CrucibleError(CrucibleErrorCode.NO_RITUAL);
+      }
+
+      // Check if player already seeded
+      if (state.seededPlayers.includes(userId)) {
+        throw new CrucibleError(CrucibleErrorCode.ALREADY_SEEDED);
+      }
+
+      // Assign die to pool: up to the GM threshold → GM Pool, above → Player Pool (1-3 / 4-6 by default)
+      const delta = {};
+      if (CrucibleRules.seedPool(result) === "gm") {
+        delta.gmPoolCount = state.gmPoolCount + 1;
+      } else {
+        delta.playerPoolCount = state.playerPoolCount + 1;
+      }
 
-    // Add to seeded players
-    delta.seededPlayers = [...state.seededPlayers, userId];
-    delta.lastSeededAt = new Date().toISOString();
+      // Add to seeded players
+      delta.seededPlayers = [...state.seededPlayers, userId];
+      delta.lastSeededAt = new Date().toISOString();
 
-    // Update state
-    const newState = await CrucibleState.updateState(delta);
+      if (lateSeed) {
+        delta.pendingSeeds = state.pendingSeeds.filter(id => id !== userId);
+        return delta;
+      }
+
+      // Record the submission on the ritual tracker (players who joined mid-ritual are added)
+      const ritual = state.ritual;
+      if (!ritual.expected.includes(userId)) {
+        ritual.expected.push(userId);
+      }
+      ritual.entries[userId] = { status: "submitted", value: result, source: source };
+      delta.ritual = ritual;
+      return delta;
+    }, {
+      action: "seed",
+      userId: userId,
+      details: { result, source }
+    });
 
     // Broadcast update
     this.broadcastStateUpdate(newState);
 
-    // Check if all players have seeded
-    const activePlayerCount = CrucibleState.getActivePlayerCount(
-      game.settings.get("crucible-of-fate", "requireCharacterOwnership")
-    );
-    
-    if (newState.seededPlayers.length >= activePlayerCount) {
-      // All players seeded
+    // Close the player's modal if the GM resolved their die for them
+    if (source === "gm") {
       game.socket.emit("module.crucible-of-fate", {
-        type: "seedComplete",
-        payload: { state: newState }
+        type: "seedDismiss",
+        payload: { userId: userId }
       });
     }
+
+    if (lateSeed) {
+      await CrucibleAttendance.announceLateSeed(userId, result);
+    } else {
+      // Check if all players have seeded or been skipped
+      await CrucibleRitual.checkComplete(newState);
+    }
+
+    return { pool: CrucibleRules.seedPool(result) };
   },
 
   /**
    * Player requests roll augmentation
    * @param {string} messageId - Chat message ID of the roll
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} GM acknowledgement ({ result, newTotal, dice })
    */
   async requestAugment(messageId) {
     if (game.user.isGM) {
       throw new Error("GM cannot request augmentation");
     }
 
-    // Send request to GM
-    game.socket.emit("module.crucible-of-fate", {
-      type: "requestAugment",
-      payload: {
-        userId: game.user.id,
-        messageId: messageId
-      }
-    });
-  },
-
-  /**
-   * GM processes augmentation request
-   * @param {string} userId - User ID requesting augmentation
-   * @param {string} messageId - Chat message ID
-   * @returns {Promise<void>}
-   */
-  async processAugmentRequest(userId, messageId) {
-    if (!game.user.isGM) {
-      throw new Error("Only GM can process augmentation requests");
-    }
-
-    // Validation will be done in rollAugmentation.js
-    // This just handles the socket communication
-    Hooks.callAll("crucible.processAugmentRequest", userId, messageId);
+    // Send request to GM; with approval on, wait until the GM's queue gives up on it
+    const approval = game.settings.get("crucible-of-fate", "augmentApproval");
+    return this.request("requestAugment", { messageId: messageId },
+      approval ? { timeout: APPROVAL_TIMEOUT_MS + REQUEST_TIMEOUT_MS, queued: true } : {});
   },
 
   /**
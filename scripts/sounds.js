@@ -0,0 +1,110 @@
+/**
+ * Crucible of Fate - Sounds
+ * Optional sound cues played on every client, configured per client
+ */
+
+import { CrucibleState } from "./state.js";
+
+/**
+ * Sound cues and the client setting holding each one's file
+ */
+export const CrucibleSoundCue = {
+  SPEND: "soundSpend",
+  TRANSFER: "soundTransfer",
+  RITUAL: "soundRitual"
+};
+
+/**
+ * Cues closer together than this (ms) are merged, so one change plays one sound
+ */
+const DEBOUNCE = 1000;
+
+export const CrucibleSounds = {
+  _lastPlayed: 0,
+
+  /**
+   * Pool counts last seen by this client, to spot transfers
+   */
+  _lastCounts: null,
+
+  /**
+   * IDs of the Crucible dice contributions this client has already heard
+   */
+  _heardContributions: new Set(),
+
+  /**
+   * Play a sound cue unless sounds are muted or another cue just played
+   * @param {string} cue - One of CrucibleSoundCue
+   */
+  play(cue) {
+    if (game.settings.get("crucible-of-fate", "muteSounds")) return;
+
+    const src = game.settings.get("crucible-of-fate", cue);
+    if (!src) return;
+
+    const now = Date.now();
+    if (now - this._lastPlayed < DEBOUNCE) return;
+    this._lastPlayed = now;
+
+    const helper = foundry.audio?.AudioHelper ?? AudioHelper;
+    helper.play({
+      src: src,
+      volume: game.settings.get("core", "globalInterfaceVolume"),
+      autoplay: true,
+      loop: false
+    }, false);
+  },
+
+  /**
+   * Register the hooks that trigger the cues (once the world is ready)
+   */
+  register() {
+    const current = CrucibleState.getState();
+    this._lastCounts = { player: current.playerPoolCount, gm: current.gmPoolCount };
+    for (const message of game.messages) {
+      this._hasNewContribution(message.flags?.["crucible-of-fate"]?.augmented);
+    }
+
+    Hooks.on("crucible.stateUpdated", state => {
+      const previous = this._lastCounts;
+      this._lastCounts = { player: state.playerPoolCount, gm: state.gmPoolCount };
+
+      const playerDelta = state.playerPoolCount - previous.player;
+      const gmDelta = state.gmPoolCount - previous.gm;
+      if (playerDelta * gmDelta < 0) {
+        this.play(CrucibleSoundCue.TRANSFER);
+      }
+    });
+
+    Hooks.on("createChatMessage", message => {
+      const flags = message.flags?.["crucible-of-fate"] ?? {};
+      if (flags.gmSpend) {
+        this.play(CrucibleSoundCue.SPEND);
+      }
+    });
+
+    // Every augment, armed die and counter-spend adds a contribution to the roll
+    Hooks.on("updateChatMessage", (message, changes) => {
+      if (this._hasNewContribution(changes.flags?.["crucible-of-fate"]?.augmented)) {
+        this.play(CrucibleSoundCue.SPEND);
+      }
+    });
+
+    Hooks.on("crucible.seedComplete", () => this.play(CrucibleSoundCue.RITUAL));
+  },
+
+  /**
+   * Note the contributions on a roll's augmented flag
+   * @param {Object} [augmented] - Augmented flag (or the changed part of it)
+   * @returns {boolean} True if it holds a contribution not heard before
+   */
+  _hasNewContribution(augmented) {
+    let added = false;
+    for (const contribution of augmented?.contributions ?? []) {
+      if (!contribution?.id || contribution.revoked || this._heardContributions.has(contribution.id)) continue;
+      this._heardContributions.add(contribution.id);
+      added = true;
+    }
+    return added;
+  }
+};
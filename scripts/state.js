@@ -3,13 +3,81 @@
  * Handles world-level settings and state persistence
  */
 
+import { CrucibleAuditLog } from "./auditLog.js";
+import { CrucibleHistory } from "./history.js";
+import { CrucibleError, CrucibleErrorCode } from "./errors.js";
+
+/**
+ * Current schema version of the state document
+ */
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Default contents of the state document
+ */
+const DEFAULT_STATE = {
+  schemaVersion: SCHEMA_VERSION,
+  revision: 0,
+  playerPoolCount: 0,
+  gmPoolCount: 0,
+  overrideEnabled: false,
+  seededPlayers: [],
+  lastSeededAt: null,
+  ritual: null,
+  pendingSeeds: [],
+  skippedPlayers: [],
+  armed: {},
+  session: null
+};
+
 export const CrucibleState = {
   /**
-   * Get the current state from world settings
+   * Players who disconnected moments ago and may be reloading; they keep their die meanwhile
+   */
+  departing: new Set(),
+
+  /**
+   * Newer state received over the socket before the world setting synced
+   */
+  _snapshot: null,
+
+  /**
+   * Serializes writes so concurrent handlers cannot overwrite each other
+   */
+  _writeQueue: Promise.resolve(),
+
+  /**
+   * Get the current state from the world state document
    * @returns {Object} Current state object
    */
   getState() {
+    const stored = this._readStored();
+    if (this._snapshot && this._snapshot.revision > stored.revision) {
+      return foundry.utils.deepClone(this._snapshot);
+    }
+    return stored;
+  },
+
+  /**
+   * Read the persisted state document, falling back to legacy per-key settings before migration
+   * @returns {Object} Stored state object
+   */
+  _readStored() {
+    const stored = game.settings.get("crucible-of-fate", "state");
+    if (!stored?.schemaVersion) {
+      return this._readLegacy();
+    }
+    return { ...foundry.utils.deepClone(DEFAULT_STATE), ...foundry.utils.deepClone(stored) };
+  },
+
+  /**
+   * Read state from the pre-1 per-key settings
+   * @returns {Object} Legacy state as a schema-0 document
+   */
+  _readLegacy() {
     return {
+      ...foundry.utils.deepClone(DEFAULT_STATE),
+      schemaVersion: 0,
       playerPoolCount: game.settings.get("crucible-of-fate", "playerPoolCount") || 0,
       gmPoolCount: game.settings.get("crucible-of-fate", "gmPoolCount") || 0,
       overrideEnabled: game.settings.get("crucible-of-fate", "overrideEnabled") || false,
@@ -18,25 +86,73 @@ export const CrucibleState = {
     };
   },
 
+  /**
+   * Accept a state broadcast or snapshot from the GM if it is newer than what we have
+   * @param {Object} state - State received over the socket
+   * @returns {boolean} True if the state was accepted
+   */
+  receiveState(state) {
+    if (state?.schemaVersion !== SCHEMA_VERSION) return false;
+    if (state.revision <= this.getState().revision) return false;
+
+    this._snapshot = foundry.utils.deepClone(state);
+    return true;
+  },
+
   /**
    * Update state (GM-only, validates invariant)
-   * @param {Object} delta - Changes to apply
+   * Writes are queued and applied one at a time; pass a function to compute the
+   * delta from the state as it is at the moment the write runs.
+   * @param {Object|Function} delta - Changes to apply, or (state) => changes; returning null skips the write
+   * @param {Object} [context] - Audit context for this mutation
+   * @param {string} [context.action] - Action identifier recorded in the audit log
+   * @param {string} [context.userId] - User who caused the mutation (defaults to current user)
+   * @param {string} [context.messageId] - Linked chat message ID
+   * @param {Object} [context.details] - Extra action-specific data
+   * @param {boolean} [context.fromHistory] - True when applied by undo/redo (not recorded as a new step)
    * @returns {Promise<Object>} Updated state
+   * @fires crucible.preUpdateState - (state, changes, context); return false to veto the write
    */
-  async updateState(delta) {
+  async updateState(delta, context = {}) {
     if (!game.user.isGM) {
       throw new Error("Only GM can update state");
     }
 
+    const result = this._writeQueue.then(() => this._applyUpdate(delta, context));
+    this._writeQueue = result.catch(() => {});
+    return result;
+  },
+
+  /**
+   * Apply a single queued update
+   * @param {Object|Function} delta - Changes to apply
+   * @param {Object} context - Audit context
+   * @returns {Promise<Object>} Updated state
+   */
+  async _applyUpdate(delta, context) {
     const currentState = this.getState();
-    const newState = { ...currentState, ...delta };
+    const changes = typeof delta === "function" ? delta(foundry.utils.deepClone(currentState)) : delta;
+    if (!changes) {
+      return currentState;
+    }
+
+    // Let macros and other modules veto the change
+    if (Hooks.call("crucible.preUpdateState", foundry.utils.deepClone(currentState), changes, context) === false) {
+      throw new CrucibleError(CrucibleErrorCode.VETOED);
+    }
+
+    const newState = { ...currentState, ...changes };
+    let rebalanced = false;
 
     // Validate and enforce invariant if override is disabled
-    if (!newState.overrideEnabled) {
-      const activePlayerCount = this.getActivePlayerCount();
+    // (suspended during the seeding ritual while the pools are being filled)
+    if (!newState.overrideEnabled && !newState.ritual?.active) {
+      const activePlayerCount = this.getTargetDiceCount(newState) - this.getArmedCount(newState);
       const totalDice = newState.playerPoolCount + newState.gmPoolCount;
       
       if (totalDice !== activePlayerCount) {
+        rebalanced = true;
+
         // Auto-balance: prefer adjusting Player Pool first
         const difference = activePlayerCount - totalDice;
         newState.playerPoolCount = Math.max(0, newState.playerPoolCount + difference);
@@ -49,14 +165,96 @@ export const CrucibleState = {
       }
     }
 
-    // Update each setting
-    for (const [key, value] of Object.entries(newState)) {
-      if (key !== "overrideEnabled" || delta.hasOwnProperty("overrideEnabled")) {
-        await game.settings.set("crucible-of-fate", key, value);
-      }
+    // Write the whole document in one update
+    newState.schemaVersion = SCHEMA_VERSION;
+    newState.revision = currentState.revision + 1;
+    await game.settings.set("crucible-of-fate", "state", newState);
+
+    const updatedState = this.getState();
+    await CrucibleAuditLog.record({
+      action: context.action ?? "update",
+      userId: context.userId,
+      before: currentState,
+      after: updatedState,
+      messageId: context.messageId,
+      details: rebalanced ? { ...context.details, rebalanced } : { ...context.details }
+    });
+
+    if (!context.fromHistory) {
+      CrucibleHistory.push({ before: currentState, after: updatedState, context });
     }
 
-    return this.getState();
+    return updatedState;
+  },
+
+  /**
+   * Migrate legacy per-key settings into the state document (GM-only)
+   * @returns {Promise<boolean>} True if a migration was performed
+   */
+  async migrate() {
+    if (!game.user.isGM) return false;
+
+    const stored = game.settings.get("crucible-of-fate", "state");
+    if (stored?.schemaVersion >= SCHEMA_VERSION) return false;
+
+    const legacy = this._readLegacy();
+    await game.settings.set("crucible-of-fate", "state", {
+      ...legacy,
+      schemaVersion: SCHEMA_VERSION,
+      revision: 1
+    });
+    console.log(`Crucible of Fate | Migrated state to schema version ${SCHEMA_VERSION}`);
+    return true;
+  },
+
+  /**
+   * Get active players
+   * @param {boolean} requireCharacter - If true, player must own at least one character
+   * @returns {User[]} Active players
+   */
+  getActivePlayers(requireCharacter = false) {
+    return game.users.filter(user => user.active && this.isCountedPlayer(user, requireCharacter));
+  },
+
+  /**
+   * Check if a user counts towards the dice total when connected
+   * @param {User} user - User to check
+   * @param {boolean} requireCharacter - If true, player must own at least one character
+   * @returns {boolean} True if the user counts as a player
+   */
+  isCountedPlayer(user, requireCharacter = false) {
+    if (user.role !== CONST.USER_ROLES.PLAYER) return false;
+    if (requireCharacter) {
+      const ownedActors = game.actors.filter(a => a.testUserPermission(user, "OWNER"));
+      if (ownedActors.length === 0) return false;
+    }
+    return true;
+  },
+
+  /**
+   * Get the number of dice the invariant expects
+   * Late joiners still waiting to seed do not have a die yet, and players
+   * skipped in the last ritual go without one until the next. Players who
+   * just disconnected still count until their departure is handled.
+   * @param {Object} state - State to check against
+   * @returns {number} Target total dice count
+   */
+  getTargetDiceCount(state) {
+    const requireCharacter = game.settings.get("crucible-of-fate", "requireCharacterOwnership");
+    const players = game.users.filter(user => (user.active || this.departing.has(user.id))
+      && this.isCountedPlayer(user, requireCharacter));
+    const withoutDie = [...(state.pendingSeeds ?? []), ...(state.skippedPlayers ?? [])];
+    return players.filter(user => !withoutDie.includes(user.id)).length;
+  },
+
+  /**
+   * Get the number of dice reserved by players who armed the Crucible
+   * Armed dice are out of the Player Pool but still count towards the total.
+   * @param {Object} state - State to check
+   * @returns {number} Armed dice count
+   */
+  getArmedCount(state) {
+    return Object.values(state.armed ?? {}).reduce((sum, entry) => sum + (entry.dice ?? 1), 0);
   },
 
   /**
@@ -65,16 +263,7 @@ export const CrucibleState = {
    * @returns {number} Active player count
    */
   getActivePlayerCount(requireCharacter = false) {
-    const players = game.users.filter(user => {
-      if (user.role !== CONST.USER_ROLES.PLAYER) return false;
-      if (!user.active) return false;
-      if (requireCharacter) {
-        const ownedActors = game.actors.filter(a => a.testUserPermission(user, "OWNER"));
-        if (ownedActors.length === 0) return false;
-      }
-      return true;
-    });
-    return players.length;
+    return this.getActivePlayers(requireCharacter).length;
   },
 
   /**
@@ -82,27 +271,27 @@ export const CrucibleState = {
    * @returns {Promise<Object>} Updated state
    */
   async enforceInvariant() {
-    const state = this.getState();
-    if (state.overrideEnabled) {
-      return state; // No enforcement needed
-    }
+    return await this.updateState(state => {
+      if (state.overrideEnabled || state.ritual?.active) {
+        return null; // No enforcement needed
+      }
+
+      const activePlayerCount = this.getTargetDiceCount(state) - this.getArmedCount(state);
+      const totalDice = state.playerPoolCount + state.gmPoolCount;
+      if (totalDice === activePlayerCount) {
+        return null;
+      }
 
-    const activePlayerCount = this.getActivePlayerCount();
-    const totalDice = state.playerPoolCount + state.gmPoolCount;
-    
-    if (totalDice !== activePlayerCount) {
       // Prefer adjusting Player Pool first
       const difference = activePlayerCount - totalDice;
       const newPlayerPool = Math.max(0, state.playerPoolCount + difference);
       const newGmPool = activePlayerCount - newPlayerPool;
-      
-      return await this.updateState({
+
+      return {
         playerPoolCount: newPlayerPool,
         gmPoolCount: newGmPool
-      });
-    }
-
-    return state;
+      };
+    }, { action: "rebalance" });
   },
 
   /**
@@ -110,6 +299,17 @@ export const CrucibleState = {
    */
   async initializeSettings() {
     // Register all settings
+    game.settings.register("crucible-of-fate", "state", {
+      name: "Crucible State",
+      hint: "Versioned state document holding pools, override mode and seeding data",
+      scope: "world",
+      config: false,
+      type: Object,
+      default: {},
+      onChange: () => Hooks.callAll("crucible.stateUpdated", CrucibleState.getState())
+    });
+
+    // Legacy per-key settings (schema 0), kept registered so migrate() can read them
     game.settings.register("crucible-of-fate", "playerPoolCount", {
       name: "Player Pool Count",
       hint: "Number of dice in the Player Pool",
@@ -155,6 +355,177 @@ export const CrucibleState = {
       default: null
     });
 
+    // Legacy audit log storage, kept registered so CrucibleAuditLog.migrate() can read it
+    game.settings.register("crucible-of-fate", "auditLog", {
+      name: "Audit Log",
+      hint: "GM-only record of every pool mutation (moved to a journal entry)",
+      scope: "world",
+      config: false,
+      type: Array,
+      default: []
+    });
+
+    game.settings.register("crucible-of-fate", "sessionHistory", {
+      name: "Session History",
+      hint: "Reports of past sessions, written when the GM ends a session",
+      scope: "world",
+      config: false,
+      type: Array,
+      default: [],
+      onChange: () => Hooks.callAll("crucible.sessionHistoryUpdated")
+    });
+
+    game.settings.register("crucible-of-fate", "ritualTimeout", {
+      name: "Seeding Ritual Timeout",
+      hint: "Seconds to wait for players during Invoke the Crucible before the GM rolls for anyone who has not seeded (0 = wait indefinitely)",
+      scope: "world",
+      config: true,
+      type: Number,
+      default: 0
+    });
+
+    game.settings.register("crucible-of-fate", "departurePolicy", {
+      name: "When a Player Leaves",
+      hint: "Which pool loses a die when a player disconnects mid-session (override mode off)",
+      scope: "world",
+      config: true,
+      type: String,
+      choices: {
+        playerFirst: "Player Pool first",
+        gmFirst: "GM Pool first",
+        ask: "Ask the GM each time"
+      },
+      default: "playerFirst"
+    });
+
+    game.settings.register("crucible-of-fate", "declarationMode", {
+      name: "Augment Declaration",
+      hint: "When players commit a Crucible die: on their most recent roll after it is made, by arming the Crucible before rolling, or either",
+      scope: "world",
+      config: true,
+      type: String,
+      choices: {
+        mostRecent: "After rolling (most recent roll)",
+        armed: "Before rolling (arm the Crucible)",
+        both: "Either"
+      },
+      default: "mostRecent"
+    });
+
+    game.settings.register("crucible-of-fate", "augmentApproval", {
+      name: "GM Approves Augments",
+      hint: "Player requests to add a Crucible die wait for the GM to approve or deny them instead of applying automatically",
+      scope: "world",
+      config: true,
+      type: Boolean,
+      default: false
+    });
+
+    game.settings.register("crucible-of-fate", "counterSpendWindow", {
+      name: "GM Counter-Spend Window",
+      hint: "Seconds the GM has after a player augment to spend a GM die against the same roll (0 = off)",
+      scope: "world",
+      config: true,
+      type: Number,
+      default: 0
+    });
+
+    game.settings.register("crucible-of-fate", "lendFate", {
+      name: "Lend Fate",
+      hint: "Players may add Crucible dice from the Player Pool to another player's most recent skill check or saving throw",
+      scope: "world",
+      config: true,
+      type: Boolean,
+      default: true
+    });
+
+    game.settings.register("crucible-of-fate", "dnd5eInPlace", {
+      name: "Apply Crucible Die to dnd5e Rolls",
+      hint: "D&D 5e only: add the +1d6 directly to the original roll so its total and success against the DC update in place, instead of posting a separate card",
+      scope: "world",
+      config: true,
+      type: Boolean,
+      default: false
+    });
+
+    game.settings.register("crucible-of-fate", "rules", {
+      name: "Crucible Rules",
+      hint: "Die size, seeding thresholds, spends and display caps (edited from the Rules menu)",
+      scope: "world",
+      config: false,
+      type: Object,
+      default: {},
+      onChange: value => {
+        Hooks.callAll("crucible.rulesUpdated", value);
+      }
+    });
+
+    game.settings.register("crucible-of-fate", "homebrewEffects", {
+      name: "Homebrew Effects",
+      hint: "Labels the GM can pick when spending GM dice (edited from the Spend GM Die dialog)",
+      scope: "world",
+      config: false,
+      type: Array,
+      default: []
+    });
+
+    game.settings.register("crucible-of-fate", "panelLayout", {
+      name: "Panel Layout",
+      hint: "Whether the Crucible panel is open, docked or minimized, and where it sits",
+      scope: "client",
+      config: false,
+      type: Object,
+      default: {}
+    });
+
+    game.settings.register("crucible-of-fate", "reducedMotion", {
+      name: "Reduced Motion",
+      hint: "Update the Crucible panel without animating dice between pools",
+      scope: "client",
+      config: true,
+      type: Boolean,
+      default: false
+    });
+
+    game.settings.register("crucible-of-fate", "muteSounds", {
+      name: "Mute Crucible Sounds",
+      hint: "Silence the spend, transfer and ritual sound cues on this client",
+      scope: "client",
+      config: true,
+      type: Boolean,
+      default: false
+    });
+
+    game.settings.register("crucible-of-fate", "soundSpend", {
+      name: "Spend Sound",
+      hint: "Played when a Crucible die is spent on a roll or by the GM (leave empty for none)",
+      scope: "client",
+      config: true,
+      type: String,
+      filePicker: "audio",
+      default: "sounds/lock.wav"
+    });
+
+    game.settings.register("crucible-of-fate", "soundTransfer", {
+      name: "Transfer Sound",
+      hint: "Played when dice move between the pools (leave empty for none)",
+      scope: "client",
+      config: true,
+      type: String,
+      filePicker: "audio",
+      default: "sounds/drums.wav"
+    });
+
+    game.settings.register("crucible-of-fate", "soundRitual", {
+      name: "Ritual Complete Sound",
+      hint: "Played when the seeding ritual finishes (leave empty for none)",
+      scope: "client",
+      config: true,
+      type: String,
+      filePicker: "audio",
+      default: "sounds/notify.wav"
+    });
+
     game.settings.register("crucible-of-fate", "requireCharacterOwnership", {
       name: "Require Character Ownership",
       hint: "If enabled, only players who own at least one character count as active",
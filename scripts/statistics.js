@@ -0,0 +1,124 @@
+/**
+ * Crucible of Fate - Statistics
+ * Usage figures rebuilt from the flags on Crucible chat messages and the audit log's pool history
+ */
+
+import { CrucibleAuditLog } from "./auditLog.js";
+import { CrucibleRules } from "./rules.js";
+import { RollAugmentation } from "./rollAugmentation.js";
+
+export const CrucibleStatistics = {
+  /**
+   * Collect statistics for a date range
+   * @param {Object} [range]
+   * @param {number} [range.from] - Start of the range (ms timestamp), open if omitted
+   * @param {number} [range.to] - End of the range (ms timestamp), open if omitted
+   * @returns {Object} Statistics
+   */
+  collect({ from = null, to = null } = {}) {
+    const inRange = time => (from === null || time >= from) && (to === null || time <= to);
+    const messages = game.messages.contents.filter(message => inRange(message.timestamp));
+
+    const augments = [];
+    const gmSpends = [];
+    const seeds = [];
+    for (const message of messages) {
+      // GM counter-spends are listed with the augments they answer
+      for (const contribution of RollAugmentation.getContributions(message)) {
+        if (contribution.counter) {
+          gmSpends.push({ count: contribution.dice, transfer: contribution.pool === "player" });
+        } else {
+          augments.push(contribution);
+        }
+      }
+
+      const spend = message.getFlag("crucible-of-fate", "gmSpend");
+      if (spend) gmSpends.push(spend);
+
+      const seedResults = message.getFlag("crucible-of-fate", "seedResults") ?? {};
+      for (const [userId, seed] of Object.entries(seedResults)) {
+        seeds.push({ userId, ...seed });
+      }
+    }
+
+    const players = new Map();
+    for (const augment of augments) {
+      const player = players.get(augment.userId) ?? {
+        userId: augment.userId,
+        name: game.users.get(augment.userId)?.name ?? augment.userId,
+        augments: 0,
+        dice: 0,
+        results: [],
+        flipped: 0
+      };
+      player.augments += 1;
+      player.dice += augment.dice;
+      player.results.push(augment.result);
+      if (augment.flipped) player.flipped += 1;
+      players.set(augment.userId, player);
+    }
+
+    const withTarget = augments.filter(augment => augment.flipped !== null);
+    const pools = this._poolHistory(from, to);
+    return {
+      augments: augments.length,
+      augmentAverage: this.average(augments.map(augment => augment.result)),
+      players: [...players.values()].map(player => ({ ...player, average: this.average(player.results) })),
+      withTarget: withTarget.length,
+      flipped: withTarget.filter(augment => augment.flipped).length,
+      gmSpent: gmSpends.reduce((sum, spend) => sum + (spend.count ?? 1), 0),
+      gmTransferred: gmSpends.filter(spend => spend.transfer !== false).reduce((sum, spend) => sum + (spend.count ?? 1), 0),
+      gmReturned: augments.filter(augment => augment.pool === "gm").reduce((sum, augment) => sum + augment.dice, 0),
+      seeds: seeds.length,
+      seedAverage: this.average(seeds.map(seed => seed.result)),
+      seedsToGm: seeds.filter(seed => CrucibleRules.seedPool(seed.result) === "gm").length,
+      timeline: pools.timeline,
+      emptyTime: pools.emptyTime,
+      trackedTime: pools.trackedTime
+    };
+  },
+
+  /**
+   * Rebuild pool sizes over time from the audit log
+   * @param {number|null} from - Start of the range (ms timestamp)
+   * @param {number|null} to - End of the range (ms timestamp)
+   * @returns {Object} { timeline: [{ time, player, gm }], emptyTime, trackedTime } (times in ms)
+   */
+  _poolHistory(from, to) {
+    const entries = CrucibleAuditLog.getEntries()
+      .map(entry => ({ ...entry, time: new Date(entry.timestamp).getTime() }))
+      .filter(entry => (from === null || entry.time >= from) && (to === null || entry.time <= to));
+    if (!entries.length) {
+      return { timeline: [], emptyTime: 0, trackedTime: 0 };
+    }
+
+    const start = from ?? entries[0].time;
+    const end = Math.min(to ?? Date.now(), Date.now());
+    const timeline = [{ time: start, player: entries[0].before.playerPoolCount, gm: entries[0].before.gmPoolCount }];
+    for (const entry of entries) {
+      timeline.push({ time: entry.time, player: entry.after.playerPoolCount, gm: entry.after.gmPoolCount });
+    }
+    timeline.push({ ...timeline[timeline.length - 1], time: Math.max(end, timeline[timeline.length - 1].time) });
+
+    // The Player Pool holds each value until the next entry
+    let emptyTime = 0;
+    for (let i = 0; i < timeline.length - 1; i++) {
+      if (timeline[i].player === 0) {
+        emptyTime += timeline[i + 1].time - timeline[i].time;
+      }
+    }
+
+    return { timeline, emptyTime, trackedTime: timeline[timeline.length - 1].time - start };
+  },
+
+  /**
+   * Mean of a list of results, to one decimal place
+   * @param {number[]} results - Results
+   * @returns {number|null} Average, or null for an empty list
+   */
+  average(results) {
+    const values = results.filter(Number.isFinite);
+    if (!values.length) return null;
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10;
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * Crucible of Fate - Approval Queue
+ * GM window for ruling on player augment requests when approval mode is on
+ */
+
+import { CrucibleApprovals } from "../approvals.js";
+
+export class ApprovalQueue extends Application {
+  static instance = null;
+
+  constructor(options = {}) {
+    super(options);
+    ApprovalQueue.instance = this;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "crucible-approval-queue",
+      classes: ["crucible", "crucible-approval-queue"],
+      title: game.i18n.localize("crucible.approval.title"),
+      template: "modules/crucible-of-fate/templates/approval-queue.hbs",
+      width: 460,
+      height: "auto",
+      resizable: true
+    });
+  }
+
+  getData() {
+    const entries = CrucibleApprovals.getEntries();
+    return {
+      entries: entries,
+      pools: CrucibleApprovals.getPools(),
+      isEmpty: entries.length === 0
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("[data-action='approve']").on("click", this._onApprove.bind(this));
+    html.find("[data-action='deny']").on("click", this._onDeny.bind(this));
+  }
+
+  async close(options) {
+    ApprovalQueue.instance = null;
+    return super.close(options);
+  }
+
+  /**
+   * Find the queue entry and its text inputs for a row button
+   * @param {Event} event - Click event
+   * @returns {Object} { id, row }
+   */
+  _getRow(event) {
+    const row = $(event.currentTarget).closest("[data-entry-id]");
+    return { id: row.data("entry-id"), row };
+  }
+
+  async _onApprove(event) {
+    const { id, row } = this._getRow(event);
+    try {
+      await CrucibleApprovals.approve(id, { narration: row.find("textarea[name='narration']").val() });
+    } catch (error) {
+      ui.notifications.error(error.message);
+    }
+  }
+
+  _onDeny(event) {
+    const { id, row } = this._getRow(event);
+    try {
+      CrucibleApprovals.deny(id, row.find("input[name='reason']").val());
+    } catch (error) {
+      ui.notifications.error(error.message);
+    }
+  }
+}
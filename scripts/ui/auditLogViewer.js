@@ -0,0 +1,130 @@
+/**
+ * Crucible of Fate - Audit Log Viewer
+ * GM-only window listing pool mutations with filtering and export
+ */
+
+import { CrucibleAuditLog } from "../auditLog.js";
+
+export class AuditLogViewer extends Application {
+  static instance = null;
+
+  constructor(options = {}) {
+    super(options);
+    this.filters = { action: "", userId: "" };
+    AuditLogViewer.instance = this;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "crucible-audit-log",
+      classes: ["crucible", "crucible-audit-log"],
+      title: game.i18n.localize("crucible.audit.title"),
+      template: "modules/crucible-of-fate/templates/audit-log.hbs",
+      width: 720,
+      height: 500,
+      resizable: true
+    });
+  }
+
+  getData() {
+    const allEntries = CrucibleAuditLog.getEntries();
+    const entries = this._filterEntries(allEntries);
+
+    const actions = [...new Set(allEntries.map(e => e.action))].sort();
+    const users = new Map();
+    for (const entry of allEntries) {
+      if (entry.userId) users.set(entry.userId, entry.userName);
+    }
+
+    return {
+      entries: entries.slice().reverse().map(e => ({
+        ...e,
+        time: new Date(e.timestamp).toLocaleString(),
+        actionLabel: this._actionLabel(e.action),
+        rebalanced: !!e.details?.rebalanced,
+        hasMessage: !!(e.messageId && game.messages.get(e.messageId))
+      })),
+      actions: actions.map(a => ({ value: a, label: this._actionLabel(a), selected: a === this.filters.action })),
+      users: [...users].map(([id, name]) => ({ value: id, label: name, selected: id === this.filters.userId })),
+      isEmpty: entries.length === 0
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("select[name='action']").on("change", event => {
+      this.filters.action = event.target.value;
+      this.render();
+    });
+    html.find("select[name='userId']").on("change", event => {
+      this.filters.userId = event.target.value;
+      this.render();
+    });
+    html.find("[data-action='exportJson']").on("click", this._onExport.bind(this, "json"));
+    html.find("[data-action='exportCsv']").on("click", this._onExport.bind(this, "csv"));
+    html.find("[data-action='clear']").on("click", this._onClear.bind(this));
+    html.find("[data-action='viewMessage']").on("click", this._onViewMessage.bind(this));
+  }
+
+  async close(options) {
+    AuditLogViewer.instance = null;
+    return super.close(options);
+  }
+
+  /**
+   * Apply the current action/user filters
+   * @param {Array<Object>} entries - All entries
+   * @returns {Array<Object>} Filtered entries
+   */
+  _filterEntries(entries) {
+    return entries.filter(e => {
+      if (this.filters.action && e.action !== this.filters.action) return false;
+      if (this.filters.userId && e.userId !== this.filters.userId) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Localize an action identifier, falling back to the raw value
+   * @param {string} action - Action identifier
+   * @returns {string} Display label
+   */
+  _actionLabel(action) {
+    const key = `crucible.audit.actions.${action}`;
+    return game.i18n.has(key) ? game.i18n.localize(key) : action;
+  }
+
+  _onExport(format) {
+    const entries = this._filterEntries(CrucibleAuditLog.getEntries());
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === "csv") {
+      saveDataToFile(CrucibleAuditLog.toCSV(entries), "text/csv", `crucible-audit-${stamp}.csv`);
+    } else {
+      saveDataToFile(CrucibleAuditLog.toJSON(entries), "application/json", `crucible-audit-${stamp}.json`);
+    }
+  }
+
+  async _onClear() {
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("crucible.audit.clear"),
+      content: game.i18n.localize("crucible.audit.clearConfirm"),
+      yes: () => true,
+      no: () => false,
+      defaultYes: false
+    });
+
+    if (confirmed) {
+      await CrucibleAuditLog.clear();
+    }
+  }
+
+  _onViewMessage(event) {
+    const messageId = event.currentTarget.dataset.messageId;
+    const message = game.messages.get(messageId);
+    if (message) {
+      new ChatPopout(message).render(true);
+    }
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Crucible of Fate - Counter-Spend Window
+ * GM window for answering a player augment with a GM die while the reaction window is open
+ */
+
+import { CrucibleState } from "../state.js";
+import { CrucibleRules } from "../rules.js";
+import { CrucibleActions } from "../actions.js";
+import { CrucibleCounterSpend } from "../counterSpend.js";
+
+export class CounterSpendWindow extends Application {
+  static instance = null;
+
+  constructor(options = {}) {
+    super(options);
+    CounterSpendWindow.instance = this;
+    this._countdown = null;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "crucible-counter-spend",
+      classes: ["crucible", "crucible-counter-spend"],
+      title: game.i18n.localize("crucible.counter.title"),
+      template: "modules/crucible-of-fate/templates/counter-spend.hbs",
+      width: 400,
+      height: "auto"
+    });
+  }
+
+  getData() {
+    return {
+      entries: CrucibleCounterSpend.getEntries(),
+      gmPoolCount: CrucibleState.getState().gmPoolCount,
+      effects: CrucibleActions.getHomebrewEffects(),
+      counterLabel: game.i18n.format("crucible.counter.subtract", { formula: CrucibleRules.formula(1) })
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("[data-action='counter']").on("click", event => this._onSpend(event, null));
+    html.find("[data-action='impose']").on("click", event => {
+      this._onSpend(event, $(event.currentTarget).closest("[data-window-id]").find("select[name='effect']").val());
+    });
+    html.find("[data-action='pass']").on("click", event => {
+      CrucibleCounterSpend.close($(event.currentTarget).closest("[data-window-id]").data("window-id"));
+    });
+
+    this._startCountdown(html);
+  }
+
+  async close(options) {
+    this._stopCountdown();
+    CounterSpendWindow.instance = null;
+    return super.close(options);
+  }
+
+  async _onSpend(event, label) {
+    const id = $(event.currentTarget).closest("[data-window-id]").data("window-id");
+    try {
+      await CrucibleCounterSpend.spend(id, { label: label || null });
+    } catch (error) {
+      ui.notifications.error(error.message);
+    }
+  }
+
+  /**
+   * Tick each window's countdown once per second
+   * @param {jQuery} html - Rendered window content
+   */
+  _startCountdown(html) {
+    this._stopCountdown();
+
+    const timers = html.find(".crucible-counter-countdown");
+    if (!timers.length) return;
+
+    const tick = () => {
+      timers.each((i, el) => {
+        const seconds = Math.max(0, Math.ceil((new Date(el.dataset.deadline).getTime() - Date.now()) / 1000));
+        el.textContent = game.i18n.format("crucible.counter.countdown", { seconds });
+      });
+    };
+    tick();
+    this._countdown = setInterval(tick, 1000);
+  }
+
+  _stopCountdown() {
+    if (this._countdown) {
+      clearInterval(this._countdown);
+      this._countdown = null;
+    }
+  }
+}
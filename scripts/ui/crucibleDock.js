@@ -0,0 +1,69 @@
+/**
+ * Crucible of Fate - Crucible Dock
+ * Compact strip with the pool counts, docked above the players list
+ */
+
+import { CrucibleState } from "../state.js";
+import { CruciblePanel } from "./cruciblePanel.js";
+
+export class CrucibleDock extends Application {
+  static instance = null;
+
+  constructor(options = {}) {
+    super(options);
+    CrucibleDock.instance = this;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "crucible-dock",
+      template: "modules/crucible-of-fate/templates/crucible-dock.hbs",
+      popOut: false
+    });
+  }
+
+  getData() {
+    const state = CrucibleState.getState();
+    return {
+      playerPoolCount: state.playerPoolCount,
+      gmPoolCount: state.gmPoolCount,
+      armedCount: CrucibleState.getArmedCount(state),
+      ritualActive: !!state.ritual?.active
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.on("click", () => CruciblePanel.setCompact(false));
+  }
+
+  async close(options) {
+    CrucibleDock.instance = null;
+    return super.close(options);
+  }
+
+  /**
+   * Place the strip just above the players list instead of at the end of the page
+   * @param {jQuery} html - Rendered strip
+   */
+  _injectHTML(html) {
+    this._element = html;
+    this.dock();
+  }
+
+  /**
+   * Move the strip back above the players list (it is re-rendered independently)
+   */
+  dock() {
+    const players = document.getElementById("players");
+    const element = this.element[0];
+    if (!element) return;
+
+    if (players) {
+      players.before(element);
+    } else if (!element.isConnected) {
+      document.body.append(element);
+    }
+  }
+}
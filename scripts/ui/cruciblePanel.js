@@ -6,16 +6,126 @@
 import { CrucibleState } from "../state.js";
 import { CrucibleSocket } from "../socket.js";
 import { MoveDiceModal } from "./moveDiceModal.js";
+import { SpendGmDieModal } from "./spendGmDieModal.js";
 import { SeedRitualManager } from "./seedModal.js";
+import { AuditLogViewer } from "./auditLogViewer.js";
+import { CrucibleHistory } from "../history.js";
+import { RitualTracker } from "./ritualTracker.js";
+import { SessionHistory } from "./sessionHistory.js";
+import { StatisticsViewer } from "./statisticsViewer.js";
+import { CrucibleArming } from "../arming.js";
+import { CrucibleActions } from "../actions.js";
+import { CrucibleRules } from "../rules.js";
+import { CrucibleSessions } from "../sessions.js";
+import { PanelEffects } from "./panelEffects.js";
+import { CrucibleDock } from "./crucibleDock.js";
+import { RollAugmentation } from "../rollAugmentation.js";
+import { CrucibleError } from "../errors.js";
+import { CrucibleApprovals } from "../approvals.js";
+import { ApprovalQueue } from "./approvalQueue.js";
+
+/**
+ * Panel layout remembered per client
+ */
+const DEFAULT_LAYOUT = {
+  open: true,
+  compact: false,
+  minimized: false,
+  left: null,
+  top: null,
+  width: null,
+  height: null
+};
 
 export class CruciblePanel extends Application {
   static instance = null;
 
   constructor(options = {}) {
-    super(options);
+    // Restore the last position and size; unset values keep the defaults
+    const layout = CruciblePanel.getLayout();
+    const position = {};
+    for (const key of ["left", "top", "width", "height"]) {
+      if (layout[key] !== null) position[key] = layout[key];
+    }
+    super({ ...position, ...options });
+
+    this._saveLayoutSoon = foundry.utils.debounce(changes => CruciblePanel.saveLayout(changes), 500);
     CruciblePanel.instance = this;
   }
 
+  /**
+   * Get this client's remembered panel layout
+   * @returns {Object} { open, compact, minimized, left, top, width, height }
+   */
+  static getLayout() {
+    return { ...DEFAULT_LAYOUT, ...game.settings.get("crucible-of-fate", "panelLayout") };
+  }
+
+  /**
+   * Merge changes into this client's panel layout
+   * @param {Object} changes - Layout fields to update
+   * @returns {Promise<void>}
+   */
+  static async saveLayout(changes) {
+    await game.settings.set("crucible-of-fate", "panelLayout", { ...this.getLayout(), ...changes });
+  }
+
+  /**
+   * Show the Crucible the way this client left it: docked strip, panel or nothing
+   * @returns {Promise<void>}
+   */
+  static async restore() {
+    const layout = this.getLayout();
+    if (layout.compact) {
+      await (CrucibleDock.instance ?? new CrucibleDock()).render(true);
+    } else if (layout.open) {
+      await this.open();
+    }
+  }
+
+  /**
+   * Open the panel (restoring its minimized state)
+   * @returns {Promise<void>}
+   */
+  static async open() {
+    await this.saveLayout({ open: true });
+    const panel = this.instance ?? new CruciblePanel();
+    await panel._render(true);
+    if (this.getLayout().minimized) {
+      await panel.minimize();
+    }
+  }
+
+  /**
+   * Open or close the panel; in compact mode this expands the docked strip instead
+   * @returns {Promise<void>}
+   */
+  static async toggle() {
+    if (this.getLayout().compact) {
+      return await this.setCompact(false);
+    }
+    if (this.instance?.rendered) {
+      return await this.instance.close();
+    }
+    return await this.open();
+  }
+
+  /**
+   * Switch between the full panel and the strip docked above the players list
+   * @param {boolean} compact - True for the docked strip
+   * @returns {Promise<void>}
+   */
+  static async setCompact(compact) {
+    await this.saveLayout({ compact });
+    if (compact) {
+      await this.instance?.close({ keepOpen: true });
+      await (CrucibleDock.instance ?? new CrucibleDock()).render(true);
+    } else {
+      await CrucibleDock.instance?.close();
+      await this.open();
+    }
+  }
+
   static get defaultOptions() {
     return foundry.utils.mergeObject(super.defaultOptions, {
       id: "crucible-panel",
@@ -32,7 +142,7 @@ export class CruciblePanel extends Application {
 
   getData() {
     const state = CrucibleState.getState();
-    const maxVisibleDice = 12;
+    const maxVisibleDice = CrucibleRules.get().displayCap;
 
     // Prepare dice arrays for display
     const playerDice = Array(Math.min(state.playerPoolCount, maxVisibleDice)).fill(0);
@@ -41,19 +151,79 @@ export class CruciblePanel extends Application {
     const playerOverflow = Math.max(0, state.playerPoolCount - maxVisibleDice);
     const gmOverflow = Math.max(0, state.gmPoolCount - maxVisibleDice);
 
+    // Remembered so refresh() can tell which dice changed
+    this._counts = { player: state.playerPoolCount, gm: state.gmPoolCount };
+
     return {
       playerPoolCount: state.playerPoolCount,
       gmPoolCount: state.gmPoolCount,
-      totalDice: state.playerPoolCount + state.gmPoolCount,
+      totalDice: state.playerPoolCount + state.gmPoolCount + CrucibleState.getArmedCount(state),
+      armedCount: CrucibleState.getArmedCount(state),
+      canArm: !game.user.isGM && CrucibleArming.isEnabled(),
+      isArmed: CrucibleArming.isArmed(game.user.id, state),
+      latestRoll: game.user.isGM ? null : this._getLatestRoll(),
+      invokeLabel: game.i18n.format("crucible.panel.invoke", { formula: CrucibleRules.augmentFormula() }),
       overrideEnabled: state.overrideEnabled,
+      ritualActive: !!state.ritual?.active,
+      approvalCount: game.user.isGM ? CrucibleApprovals.queue.length : 0,
+      sessionActive: !!CrucibleSessions.getActive(state),
+      sessionStartedAt: state.session ? new Date(state.session.startedAt).toLocaleTimeString() : null,
       isGM: game.user.isGM,
       playerDice: playerDice,
       gmDice: gmDice,
       playerOverflow: playerOverflow,
-      gmOverflow: gmOverflow
+      gmOverflow: gmOverflow,
+      pendingRequest: CrucibleSocket.hasPendingRequest(),
+      isAuthority: CrucibleSocket.isAuthority(),
+      authorityName: CrucibleSocket.getAuthoritativeGM()?.name ?? "",
+      canUndo: CrucibleHistory.canUndo(),
+      canRedo: CrucibleHistory.canRedo()
     };
   }
 
+  _getHeaderButtons() {
+    const buttons = super._getHeaderButtons();
+    buttons.unshift({
+      label: "crucible.panel.compact",
+      class: "crucible-compact",
+      icon: "fas fa-compress-alt",
+      onclick: () => CruciblePanel.setCompact(true)
+    });
+    return buttons;
+  }
+
+  setPosition(position = {}) {
+    const result = super.setPosition(position);
+    if (this.rendered && !this._minimized && result) {
+      // Only keep a fixed height once the user has resized the panel
+      const changes = { left: result.left, top: result.top, width: result.width };
+      if (typeof position.height === "number") changes.height = result.height;
+      this._saveLayoutSoon(changes);
+    }
+    return result;
+  }
+
+  async minimize() {
+    await super.minimize();
+    await CruciblePanel.saveLayout({ minimized: true });
+  }
+
+  async maximize() {
+    await super.maximize();
+    await CruciblePanel.saveLayout({ minimized: false });
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.keepOpen] - Closing to switch modes; remember the panel as open
+   */
+  async close(options = {}) {
+    if (!options.keepOpen) {
+      await CruciblePanel.saveLayout({ open: false });
+    }
+    return super.close(options);
+  }
+
   activateListeners(html) {
     super.activateListeners(html);
 
@@ -61,8 +231,49 @@ export class CruciblePanel extends Application {
       html.find("[data-action='invoke']").on("click", this._onInvokeCrucible.bind(this));
       html.find("[data-action='move']").on("click", this._onMoveDice.bind(this));
       html.find("[data-action='rollGmDie']").on("click", this._onRollGmDie.bind(this));
+      html.find("[data-action='spendGmDie']").on("click", this._onSpendGmDie.bind(this));
       html.find("[data-action='override']").on("click", this._onToggleOverride.bind(this));
       html.find("[data-action='reset']").on("click", this._onResetPools.bind(this));
+      html.find("[data-action='auditLog']").on("click", this._onOpenAuditLog.bind(this));
+      html.find("[data-action='beginSession']").on("click", this._onBeginSession.bind(this));
+      html.find("[data-action='endSession']").on("click", this._onEndSession.bind(this));
+      html.find("[data-action='sessionHistory']").on("click", this._onOpenSessionHistory.bind(this));
+      html.find("[data-action='statistics']").on("click", this._onOpenStatistics.bind(this));
+      html.find("[data-action='ritualTracker']").on("click", this._onOpenRitualTracker.bind(this));
+      html.find("[data-action='approvals']").on("click", this._onOpenApprovals.bind(this));
+      html.find("[data-action='undo']").on("click", this._onUndo.bind(this));
+      html.find("[data-action='redo']").on("click", this._onRedo.bind(this));
+    } else {
+      html.find("[data-action='arm']").on("click", () => CrucibleArming.toggle());
+      html.find("[data-action='invokeRoll']").on("click", this._onInvokeRoll.bind(this));
+    }
+  }
+
+  /**
+   * Describe this player's latest roll and whether the Crucible die can be added to it
+   * @returns {Object|null} { id, label, actor, total, canInvoke, reason, pending }
+   */
+  _getLatestRoll() {
+    const message = RollAugmentation.findMostRecentRoll(game.user.id);
+    if (!message) return null;
+
+    const blocker = RollAugmentation.getAugmentBlocker(message);
+    const pending = RollAugmentation.isAugmentPending(message.id);
+    const preview = blocker ? null : RollAugmentation.getPreview(message);
+    return {
+      id: message.id,
+      ...RollAugmentation.describeRoll(message),
+      canInvoke: !blocker && !pending,
+      reason: blocker ? CrucibleError.localize(blocker) : (preview ? RollAugmentation.formatPreview(preview) : ""),
+      pending: pending
+    };
+  }
+
+  async _onInvokeRoll(event) {
+    try {
+      await RollAugmentation.processAugment(event.currentTarget.dataset.messageId);
+    } catch (error) {
+      ui.notifications.error(error.message);
     }
   }
 
@@ -76,38 +287,25 @@ export class CruciblePanel extends Application {
     modal.render(true);
   }
 
+  _onSpendGmDie() {
+    const modal = new SpendGmDieModal();
+    modal.render(true);
+  }
+
   async _onRollGmDie() {
-    const state = CrucibleState.getState();
-    if (state.gmPoolCount < 1) {
-      ui.notifications.warn(game.i18n.localize("crucible.moveDice.error.insufficientDice"));
-      return;
+    try {
+      await CrucibleActions.rollGmDie();
+    } catch (error) {
+      ui.notifications.warn(error.message);
     }
-
-    const roll = new Roll("1d6");
-    await roll.roll();
-    const result = roll.total;
-
-    await ChatMessage.create({
-      speaker: ChatMessage.getSpeaker(),
-      content: `<div class="crucible-chat-message">${game.i18n.format("crucible.rollGmDie.chatMessage", { result })}</div>`
-    });
-
-    // Move die GM → Player (default behavior)
-    const newState = await CrucibleState.updateState({
-      gmPoolCount: state.gmPoolCount - 1,
-      playerPoolCount: state.playerPoolCount + 1
-    });
-
-    CrucibleSocket.broadcastStateUpdate(newState);
   }
 
   async _onToggleOverride() {
-    const state = CrucibleState.getState();
-    const newState = await CrucibleState.updateState({
-      overrideEnabled: !state.overrideEnabled
-    });
-
-    CrucibleSocket.broadcastStateUpdate(newState);
+    try {
+      await CrucibleActions.setOverride();
+    } catch (error) {
+      ui.notifications.error(error.message);
+    }
     this.render();
   }
 
@@ -121,19 +319,158 @@ export class CruciblePanel extends Application {
     });
 
     if (confirmed) {
-      const newState = await CrucibleState.updateState({
-        playerPoolCount: 0,
-        gmPoolCount: 0
-      });
+      try {
+        await CrucibleActions.resetPools();
+      } catch (error) {
+        ui.notifications.error(error.message);
+      }
+    }
+  }
 
-      CrucibleSocket.broadcastStateUpdate(newState);
+  async _onBeginSession() {
+    try {
+      await CrucibleSessions.begin();
+    } catch (error) {
+      ui.notifications.error(error.message);
     }
   }
 
+  async _onEndSession() {
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("crucible.buttons.endSession"),
+      content: game.i18n.localize("crucible.session.endConfirm"),
+      yes: () => true,
+      no: () => false,
+      defaultYes: true
+    });
+
+    if (confirmed) {
+      try {
+        await CrucibleSessions.end();
+      } catch (error) {
+        ui.notifications.error(error.message);
+      }
+    }
+  }
+
+  async _onUndo() {
+    try {
+      await CrucibleHistory.undo();
+    } catch (error) {
+      ui.notifications.error(error.message);
+    }
+  }
+
+  async _onRedo() {
+    try {
+      await CrucibleHistory.redo();
+    } catch (error) {
+      ui.notifications.error(error.message);
+    }
+  }
+
+  _onOpenRitualTracker() {
+    const tracker = RitualTracker.instance ?? new RitualTracker();
+    tracker.render(true);
+  }
+
+  _onOpenApprovals() {
+    const queue = ApprovalQueue.instance ?? new ApprovalQueue();
+    queue.render(true);
+  }
+
+  _onOpenAuditLog() {
+    const viewer = AuditLogViewer.instance ?? new AuditLogViewer();
+    viewer.render(true);
+  }
+
+  _onOpenSessionHistory() {
+    const history = SessionHistory.instance ?? new SessionHistory();
+    history.render(true);
+  }
+
+  _onOpenStatistics() {
+    const viewer = StatisticsViewer.instance ?? new StatisticsViewer();
+    viewer.render(true);
+  }
+
   /**
-   * Refresh the panel display
+   * Refresh the panel display, animating dice that moved, arrived or left
+   * @returns {Promise<void>}
    */
-  refresh() {
-    this.render();
+  async refresh() {
+    const previous = this._captureDice();
+    await this._render();
+    if (previous && !PanelEffects.reducedMotion()) {
+      this._animateChanges(previous);
+    }
+  }
+
+  /**
+   * Record pool counts and on-screen die positions before a re-render
+   * @returns {Object|null} { counts, rects: { player, gm } }, or null if the panel is not shown
+   */
+  _captureDice() {
+    if (!this.rendered || !this._counts || this._minimized) return null;
+    return {
+      counts: { ...this._counts },
+      rects: {
+        player: this._dieElements("player").map(die => die.getBoundingClientRect()),
+        gm: this._dieElements("gm").map(die => die.getBoundingClientRect())
+      }
+    };
+  }
+
+  /**
+   * Get the die icons shown for a pool
+   * @param {string} pool - "player" or "gm"
+   * @returns {HTMLElement[]} Die elements, in display order
+   */
+  _dieElements(pool) {
+    return this.element.find(`.crucible-pool-${pool} .crucible-die`).toArray();
+  }
+
+  /**
+   * Compare the counts before and after a re-render and animate the difference
+   * Dice that left one pool while the other gained fly across; other gains
+   * glow and other losses fade out where they used to be.
+   * @param {Object} previous - Result of _captureDice
+   */
+  _animateChanges(previous) {
+    const delta = {
+      player: this._counts.player - previous.counts.player,
+      gm: this._counts.gm - previous.counts.gm
+    };
+    const dice = { player: this._dieElements("player"), gm: this._dieElements("gm") };
+
+    // Dice moving between the pools
+    let moved = 0;
+    if (delta.player * delta.gm < 0) {
+      const [source, target] = delta.player < 0 ? ["player", "gm"] : ["gm", "player"];
+      moved = Math.min(-delta[source], delta[target]);
+      for (let i = 1; i <= moved; i++) {
+        const from = previous.rects[source][previous.rects[source].length - i];
+        const to = dice[target][dice[target].length - i];
+        if (from && to) {
+          PanelEffects.fly(from, to);
+        } else if (to) {
+          PanelEffects.glow(to);
+        }
+      }
+    }
+
+    // Dice added to or removed from the pools
+    for (const pool of ["player", "gm"]) {
+      const remaining = Math.abs(delta[pool]) - moved;
+      for (let i = 1; i <= remaining; i++) {
+        if (delta[pool] > 0) {
+          const die = dice[pool][dice[pool].length - moved - i];
+          if (die) PanelEffects.glow(die);
+        } else {
+          const from = previous.rects[pool][previous.rects[pool].length - moved - i];
+          if (from) PanelEffects.fade(from);
+        }
+      }
+    }
   }
 }
@@ -4,7 +4,7 @@
  */
 
 import { CrucibleState } from "../state.js";
-import { CrucibleSocket } from "../socket.js";
+import { CrucibleActions } from "../actions.js";
 
 export class MoveDiceModal extends Application {
   static get defaultOptions() {
@@ -48,33 +48,8 @@ export class MoveDiceModal extends Application {
       return;
     }
 
-    const state = CrucibleState.getState();
-    let sourcePool, targetPool, delta;
-
-    if (direction === "playerToGm") {
-      if (state.playerPoolCount < amount) {
-        this._showError(game.i18n.localize("crucible.moveDice.error.insufficientDice"));
-        return;
-      }
-      delta = {
-        playerPoolCount: state.playerPoolCount - amount,
-        gmPoolCount: state.gmPoolCount + amount
-      };
-    } else {
-      if (state.gmPoolCount < amount) {
-        this._showError(game.i18n.localize("crucible.moveDice.error.insufficientDice"));
-        return;
-      }
-      delta = {
-        gmPoolCount: state.gmPoolCount - amount,
-        playerPoolCount: state.playerPoolCount + amount
-      };
-    }
-
     try {
-      await CrucibleState.updateState(delta);
-      const newState = CrucibleState.getState();
-      CrucibleSocket.broadcastStateUpdate(newState);
+      await CrucibleActions.moveDice(direction, amount);
       this.close();
     } catch (error) {
       this._showError(error.message);
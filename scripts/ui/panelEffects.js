@@ -0,0 +1,79 @@
+/**
+ * Crucible of Fate - Panel Effects
+ * Dice that fly between pools, glow when added and fade when removed
+ */
+
+/**
+ * Fallback (ms) for removing animated elements if their animation event never fires
+ */
+const CLEANUP_DELAY = 1500;
+
+export const PanelEffects = {
+  /**
+   * Check if the panel should skip animations on this client
+   * @returns {boolean} True for reduced motion
+   */
+  reducedMotion() {
+    return game.settings.get("crucible-of-fate", "reducedMotion")
+      || window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+  },
+
+  /**
+   * Fly a die from where it used to be to the die that replaced it in the other pool
+   * @param {DOMRect} from - Screen position of the die before the panel re-rendered
+   * @param {HTMLElement} target - Die element in the destination pool
+   */
+  fly(from, target) {
+    const to = target.getBoundingClientRect();
+    const ghost = this._ghost(from, "crucible-die-flying");
+    target.classList.add("crucible-die-incoming");
+
+    // Force layout so the transition starts from the old position
+    ghost.getBoundingClientRect();
+    ghost.style.transform = `translate(${to.left - from.left}px, ${to.top - from.top}px)`;
+
+    const land = () => {
+      if (!ghost.isConnected) return;
+      ghost.remove();
+      target.classList.remove("crucible-die-incoming");
+      this.glow(target);
+    };
+    ghost.addEventListener("transitionend", land, { once: true });
+    setTimeout(land, CLEANUP_DELAY);
+  },
+
+  /**
+   * Briefly highlight a die that was just added
+   * @param {HTMLElement} die - Die element
+   */
+  glow(die) {
+    die.classList.add("crucible-die-new");
+    die.addEventListener("animationend", () => die.classList.remove("crucible-die-new"), { once: true });
+  },
+
+  /**
+   * Fade out a die that was removed, at the position it used to have
+   * @param {DOMRect} from - Screen position of the die before the panel re-rendered
+   */
+  fade(from) {
+    const ghost = this._ghost(from, "crucible-die-fading");
+    const remove = () => ghost.remove();
+    ghost.addEventListener("animationend", remove, { once: true });
+    setTimeout(remove, CLEANUP_DELAY);
+  },
+
+  /**
+   * Create a free-floating die over the page
+   * @param {DOMRect} rect - Screen position
+   * @param {string} cssClass - Effect class
+   * @returns {HTMLElement} Die element
+   */
+  _ghost(rect, cssClass) {
+    const ghost = document.createElement("i");
+    ghost.className = `fas fa-dice-d6 crucible-die crucible-die-ghost ${cssClass}`;
+    ghost.style.left = `${rect.left}px`;
+    ghost.style.top = `${rect.top}px`;
+    document.body.append(ghost);
+    return ghost;
+  }
+};
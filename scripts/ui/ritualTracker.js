@@ -0,0 +1,156 @@
+/**
+ * Crucible of Fate - Ritual Tracker
+ * GM window showing each expected player's seeding status during "Invoke the Crucible"
+ */
+
+import { CrucibleState } from "../state.js";
+import { CrucibleRitual } from "../ritual.js";
+import { CrucibleRules } from "../rules.js";
+
+export class RitualTracker extends Application {
+  static instance = null;
+
+  constructor(options = {}) {
+    super(options);
+    RitualTracker.instance = this;
+    this._countdown = null;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "crucible-ritual-tracker",
+      classes: ["crucible", "crucible-ritual-tracker"],
+      title: game.i18n.localize("crucible.ritual.title"),
+      template: "modules/crucible-of-fate/templates/ritual-tracker.hbs",
+      width: 460,
+      height: "auto",
+      resizable: true
+    });
+  }
+
+  getData() {
+    const state = CrucibleState.getState();
+    const ritual = state.ritual;
+
+    const players = CrucibleRitual.getStatus(state).map(row => ({
+      ...row,
+      pending: row.status === "pending",
+      statusLabel: (row.status === "pending" && !row.connected)
+        ? game.i18n.localize("crucible.ritual.status.disconnected")
+        : game.i18n.localize(`crucible.ritual.status.${row.status}`),
+      rolledByGm: row.source === "gm" && row.status === "submitted"
+    }));
+
+    return {
+      active: !!ritual?.active,
+      players: players,
+      hasPlayers: players.length > 0,
+      submittedCount: players.filter(p => p.status === "submitted").length,
+      expectedCount: players.length,
+      deadline: ritual?.active ? ritual.deadline : null
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("[data-action='rollFor']").on("click", this._onPlayerAction.bind(this, "rollFor"));
+    html.find("[data-action='enterFor']").on("click", this._onEnterFor.bind(this));
+    html.find("[data-action='skip']").on("click", this._onPlayerAction.bind(this, "skip"));
+    html.find("[data-action='reprompt']").on("click", this._onPlayerAction.bind(this, "reprompt"));
+    html.find("[data-action='finish']").on("click", this._onFinish.bind(this));
+
+    this._startCountdown(html);
+  }
+
+  async close(options) {
+    this._stopCountdown();
+    RitualTracker.instance = null;
+    return super.close(options);
+  }
+
+  async _onPlayerAction(action, event) {
+    const userId = event.currentTarget.closest("[data-user-id]").dataset.userId;
+    try {
+      await CrucibleRitual[action](userId);
+      if (action === "reprompt") {
+        ui.notifications.info(game.i18n.format("crucible.ritual.reprompted", { name: game.users.get(userId)?.name }));
+      }
+    } catch (error) {
+      ui.notifications.error(error.message);
+    }
+  }
+
+  async _onEnterFor(event) {
+    const userId = event.currentTarget.closest("[data-user-id]").dataset.userId;
+    const name = game.users.get(userId)?.name ?? "";
+
+    const faces = CrucibleRules.get().dieFaces;
+    const value = await Dialog.prompt({
+      title: game.i18n.format("crucible.ritual.enterTitle", { name }),
+      content: `<div class="form-group"><input type="number" name="value" min="1" max="${faces}" placeholder="1-${faces}" autofocus></div>`,
+      label: game.i18n.localize("crucible.seed.submit"),
+      callback: html => parseInt(html.find("input[name='value']").val(), 10),
+      rejectClose: false
+    });
+    if (value === null || value === undefined) return;
+
+    try {
+      await CrucibleRitual.enterFor(userId, value);
+    } catch (error) {
+      ui.notifications.error(error.message);
+    }
+  }
+
+  async _onFinish() {
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("crucible.ritual.finish"),
+      content: game.i18n.localize("crucible.ritual.finishConfirm"),
+      yes: () => true,
+      no: () => false,
+      defaultYes: false
+    });
+
+    if (confirmed) {
+      try {
+        await CrucibleRitual.finish();
+      } catch (error) {
+        ui.notifications.error(error.message);
+      }
+    }
+  }
+
+  /**
+   * Tick the auto-timeout countdown once per second
+   * @param {jQuery} html - Rendered window content
+   */
+  _startCountdown(html) {
+    this._stopCountdown();
+
+    const el = html.find(".crucible-ritual-countdown");
+    const deadline = el.data("deadline");
+    if (!deadline) return;
+
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((new Date(deadline).getTime() - Date.now()) / 1000));
+      el.text(game.i18n.format("crucible.ritual.countdown", { seconds }));
+      if (seconds === 0) this._stopCountdown();
+    };
+    tick();
+    this._countdown = setInterval(tick, 1000);
+  }
+
+  _stopCountdown() {
+    if (this._countdown) {
+      clearInterval(this._countdown);
+      this._countdown = null;
+    }
+  }
+
+  /**
+   * Refresh the tracker display
+   */
+  refresh() {
+    this.render();
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Crucible of Fate - Rules Configuration
+ * Settings submenu where the GM configures Crucible variants
+ */
+
+import { CrucibleRules, DEFAULT_RULES, DIE_FACES } from "../rules.js";
+
+export class RulesConfig extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "crucible-rules-config",
+      classes: ["crucible", "crucible-rules-config"],
+      title: game.i18n.localize("crucible.rules.title"),
+      template: "modules/crucible-of-fate/templates/rules-config.hbs",
+      width: 480,
+      height: "auto",
+      closeOnSubmit: true
+    });
+  }
+
+  getData() {
+    const rules = CrucibleRules.get();
+    return {
+      rules: rules,
+      dieFaces: DIE_FACES.map(faces => ({ value: faces, label: `d${faces}`, selected: faces === rules.dieFaces })),
+      augmentDestinations: {
+        gm: game.i18n.localize("crucible.gmPool"),
+        player: game.i18n.localize("crucible.playerPool")
+      },
+      gmSpendDestinations: {
+        player: game.i18n.localize("crucible.playerPool"),
+        gm: game.i18n.localize("crucible.gmPool")
+      }
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("[data-action='defaults']").on("click", this._onResetDefaults.bind(this));
+  }
+
+  async _onResetDefaults(event) {
+    event.preventDefault();
+    await CrucibleRules.set(DEFAULT_RULES);
+    this.render();
+  }
+
+  async _updateObject(event, formData) {
+    await CrucibleRules.set(formData);
+  }
+}
@@ -4,12 +4,18 @@
  */
 
 import { CrucibleSocket } from "../socket.js";
+import { CrucibleState } from "../state.js";
+import { RitualTracker } from "./ritualTracker.js";
+import { CrucibleRules } from "../rules.js";
+import { CrucibleDice, CrucibleColorset } from "../dice.js";
+import { CrucibleRitual } from "../ritual.js";
 
 export class SeedModal extends Application {
   constructor(userId, options = {}) {
     super(options);
     this.userId = userId;
     this.seedResult = null;
+    this.rolled = false;
   }
 
   static get defaultOptions() {
@@ -24,6 +30,14 @@ export class SeedModal extends Application {
     });
   }
 
+  getData() {
+    return {
+      dieFaces: CrucibleRules.get().dieFaces,
+      rolled: this.rolled,
+      seedResult: this.rolled ? this.seedResult : ""
+    };
+  }
+
   activateListeners(html) {
     super.activateListeners(html);
 
@@ -37,28 +51,44 @@ export class SeedModal extends Application {
   }
 
   async _onRoll() {
-    const roll = new Roll("1d6");
-    await roll.roll();
+    // One roll per player: the result can't be rerolled or edited afterwards
+    this.rolled = true;
+    this.element.find("[data-action='roll']").prop("disabled", true);
+    this.element.find("#crucible-seed-input").prop("readonly", true);
+
+    const roll = await CrucibleDice.roll(CrucibleRules.formula(), CrucibleColorset.PLAYER);
+    await CrucibleRitual.postSeedRoll(roll);
     const result = roll.total;
     
     this.seedResult = result;
-    this.element.find("#crucible-seed-input").val(result);
     
     // Show result visually
     this.element.find("#crucible-seed-input").addClass("crucible-rolled").val(result);
   }
 
   async _onSubmit() {
-    if (!this.seedResult || this.seedResult < 1 || this.seedResult > 6) {
-      this._showError(game.i18n.localize("crucible.seed.error.invalidRange"));
+    if (!CrucibleRules.isValidSeed(this.seedResult)) {
+      this._showError(game.i18n.format("crucible.seed.error.invalidRange", { max: CrucibleRules.get().dieFaces }));
       return;
     }
 
+    const controls = this.element.find(".crucible-seed-controls");
+    const sending = this.element.find(".crucible-sending");
+    controls.find("button").prop("disabled", true);
+    sending.show();
+
     try {
-      await CrucibleSocket.submitSeedResult(this.seedResult);
+      const response = await CrucibleSocket.submitSeedResult(this.seedResult);
+      sending.hide();
+      controls.hide();
+      this.element.find(".crucible-seed-accepted")
+        .text(game.i18n.localize(response.pool === "gm" ? "crucible.seed.acceptedGm" : "crucible.seed.acceptedPlayer"))
+        .show();
       this.element.find(".crucible-waiting").show();
-      this.element.find(".crucible-seed-controls").hide();
     } catch (error) {
+      sending.hide();
+      controls.find("button").prop("disabled", false);
+      controls.find("[data-action='roll']").prop("disabled", this.rolled);
       this._showError(error.message);
     }
   }
@@ -89,20 +119,17 @@ export class SeedRitualManager {
     }
 
     this.isActive = true;
+
+    // Show the GM who has seeded so far
+    const tracker = RitualTracker.instance ?? new RitualTracker();
+    tracker.render(true);
+
     await CrucibleSocket.startSeed();
 
     // Open modal for GM if they're viewing as a player
     // Other players will receive socket event and open their own modals
     const requireCharacter = game.settings.get("crucible-of-fate", "requireCharacterOwnership");
-    const activePlayers = game.users.filter(user => {
-      if (user.role !== CONST.USER_ROLES.PLAYER) return false;
-      if (!user.active) return false;
-      if (requireCharacter) {
-        const ownedActors = game.actors.filter(a => a.testUserPermission(user, "OWNER"));
-        if (ownedActors.length === 0) return false;
-      }
-      return true;
-    });
+    const activePlayers = CrucibleState.getActivePlayers(requireCharacter);
 
     // Check if GM is also a player
     const gmAsPlayer = activePlayers.find(p => p.id === game.user.id);
@@ -117,10 +144,17 @@ export class SeedRitualManager {
    * Open seed modal for a specific player
    */
   openForPlayer(userId) {
-    if (this.activeModals.has(userId)) {
+    const existing = this.activeModals.get(userId);
+    if (existing?.rendered) {
       return; // Already open
     }
 
+    // Reopen a closed modal that already rolled, so its result is kept
+    if (existing?.rolled) {
+      existing.render(true);
+      return;
+    }
+
     const modal = new SeedModal(userId);
     modal.render(true);
     this.activeModals.set(userId, modal);
@@ -139,6 +173,7 @@ export class SeedRitualManager {
 
   /**
    * Complete the seeding ritual
+   * The completion chat message is posted once, by the GM who finishes the ritual.
    */
   complete() {
     this.isActive = false;
@@ -147,11 +182,5 @@ export class SeedRitualManager {
       modal.close();
     }
     this.activeModals.clear();
-    
-    // Show completion message
-    ChatMessage.create({
-      speaker: ChatMessage.getSpeaker(),
-      content: `<div class="crucible-chat-message">${game.i18n.localize("crucible.seed.complete")}</div>`
-    });
   }
 }
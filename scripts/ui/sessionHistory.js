@@ -0,0 +1,98 @@
+/**
+ * Crucible of Fate - Session History
+ * GM-only window comparing the reports of past sessions
+ */
+
+import { CrucibleSessions } from "../sessions.js";
+
+export class SessionHistory extends Application {
+  static instance = null;
+
+  constructor(options = {}) {
+    super(options);
+    SessionHistory.instance = this;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "crucible-session-history",
+      classes: ["crucible", "crucible-session-history"],
+      title: game.i18n.localize("crucible.session.historyTitle"),
+      template: "modules/crucible-of-fate/templates/session-history.hbs",
+      width: 760,
+      height: 460,
+      resizable: true
+    });
+  }
+
+  getData() {
+    const reports = CrucibleSessions.getHistory();
+    const active = CrucibleSessions.getActive();
+    const dash = game.i18n.localize("crucible.session.none");
+
+    return {
+      sessions: reports.slice().reverse().map(report => {
+        const data = CrucibleSessions.formatReport(report);
+        return {
+          ...data,
+          augmentAverage: report.augmentAverage ?? dash,
+          gmAverage: report.gmSpends.average ?? dash,
+          playerSummary: report.players.map(player => `${player.name} ×${player.augments}`).join(", ") || dash
+        };
+      }),
+      totals: {
+        sessions: reports.length,
+        augments: reports.reduce((sum, report) => sum + report.augments, 0),
+        gmDice: reports.reduce((sum, report) => sum + report.gmSpends.dice, 0)
+      },
+      activeSince: active ? new Date(active.startedAt).toLocaleString() : null,
+      isEmpty: reports.length === 0
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("[data-action='repost']").on("click", this._onRepost.bind(this));
+    html.find("[data-action='delete']").on("click", this._onDelete.bind(this));
+  }
+
+  async close(options) {
+    SessionHistory.instance = null;
+    return super.close(options);
+  }
+
+  /**
+   * Find the report a row button belongs to
+   * @param {Event} event - Click event
+   * @returns {Object|undefined} Session report
+   */
+  _getReport(event) {
+    const sessionId = event.currentTarget.closest("[data-session-id]").dataset.sessionId;
+    return CrucibleSessions.getHistory().find(report => report.id === sessionId);
+  }
+
+  async _onRepost(event) {
+    const report = this._getReport(event);
+    if (report) {
+      await CrucibleSessions.postSummary(report);
+    }
+  }
+
+  async _onDelete(event) {
+    const report = this._getReport(event);
+    if (!report) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("crucible.session.delete"),
+      content: game.i18n.localize("crucible.session.deleteConfirm"),
+      yes: () => true,
+      no: () => false,
+      defaultYes: false
+    });
+
+    if (confirmed) {
+      await CrucibleSessions.deleteReport(report.id);
+    }
+  }
+}
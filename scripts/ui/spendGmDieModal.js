@@ -0,0 +1,91 @@
+/**
+ * Crucible of Fate - Spend GM Die Modal
+ * Dialog for GM to spend GM Pool dice with visibility, transfer and an effect label
+ */
+
+import { CrucibleState } from "../state.js";
+import { CrucibleActions } from "../actions.js";
+import { CrucibleRules } from "../rules.js";
+
+export class SpendGmDieModal extends Application {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "crucible-spend-gm-die-modal",
+      classes: ["crucible", "crucible-spend-gm-die"],
+      title: game.i18n.localize("crucible.buttons.spendGmDie"),
+      template: "modules/crucible-of-fate/templates/spend-gm-die-modal.hbs",
+      width: 400,
+      height: "auto",
+      resizable: false
+    });
+  }
+
+  getData() {
+    const state = CrucibleState.getState();
+    return {
+      gmPoolCount: state.gmPoolCount,
+      transfer: CrucibleRules.get().gmSpendDestination === "player",
+      effects: CrucibleActions.getHomebrewEffects()
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("form").on("submit", this._onSubmit.bind(this));
+    html.find("[data-action='cancel']").on("click", this.close.bind(this));
+    html.find("[data-action='addEffect']").on("click", this._onAddEffect.bind(this));
+    html.find("[data-action='removeEffect']").on("click", this._onRemoveEffect.bind(this));
+  }
+
+  async _onSubmit(event) {
+    event.preventDefault();
+    const formData = new FormData(event.target);
+
+    try {
+      await CrucibleActions.spendGmDice({
+        count: parseInt(formData.get("count"), 10),
+        formula: formData.get("formula"),
+        silent: formData.get("visibility") === "gm",
+        transfer: formData.get("transfer") === "on",
+        label: formData.get("label") || null
+      });
+      this.close();
+    } catch (error) {
+      this._showError(error.message);
+    }
+  }
+
+  // The effect list is edited in place, so the rest of the form keeps what the GM typed
+
+  async _onAddEffect() {
+    const input = this.element.find("input[name='newEffect']");
+    const effect = input.val()?.trim();
+    if (!effect) return;
+
+    const select = this.element.find("select[name='label']");
+    const known = CrucibleActions.getHomebrewEffects().includes(effect);
+    await CrucibleActions.setHomebrewEffects([...CrucibleActions.getHomebrewEffects(), effect]);
+    if (!known) {
+      select.append($("<option>").val(effect).text(effect));
+    }
+    select.val(effect);
+    input.val("");
+  }
+
+  async _onRemoveEffect() {
+    const select = this.element.find("select[name='label']");
+    const effect = select.val();
+    if (!effect) return;
+
+    await CrucibleActions.setHomebrewEffects(CrucibleActions.getHomebrewEffects().filter(e => e !== effect));
+    select.find("option:selected").remove();
+    select.val("");
+  }
+
+  _showError(message) {
+    const errorDiv = this.element.find(".crucible-error");
+    errorDiv.text(message).show();
+    setTimeout(() => errorDiv.fadeOut(), 5000);
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Crucible of Fate - Statistics Viewer
+ * GM-only window showing how the Crucible is used, with a date filter and a pool size chart
+ */
+
+import { CrucibleStatistics } from "../statistics.js";
+
+/**
+ * Size of the pool chart's drawing area, in SVG units
+ */
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 160;
+
+export class StatisticsViewer extends Application {
+  static instance = null;
+
+  constructor(options = {}) {
+    super(options);
+    this.filters = { from: "", to: "" };
+    StatisticsViewer.instance = this;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "crucible-statistics",
+      classes: ["crucible", "crucible-statistics"],
+      title: game.i18n.localize("crucible.statistics.title"),
+      template: "modules/crucible-of-fate/templates/statistics.hbs",
+      width: 720,
+      height: 620,
+      resizable: true
+    });
+  }
+
+  getData() {
+    const stats = CrucibleStatistics.collect(this._getRange());
+    const dash = game.i18n.localize("crucible.session.none");
+
+    return {
+      filters: this.filters,
+      stats: stats,
+      augmentAverage: stats.augmentAverage ?? dash,
+      seedAverage: stats.seedAverage ?? dash,
+      flippedRate: stats.withTarget ? `${Math.round(stats.flipped / stats.withTarget * 100)}%` : dash,
+      players: stats.players.map(player => ({ ...player, average: player.average ?? dash })),
+      emptyTime: this._formatDuration(stats.emptyTime),
+      emptyRate: stats.trackedTime ? `${Math.round(stats.emptyTime / stats.trackedTime * 100)}%` : dash,
+      chart: this._buildChart(stats.timeline),
+      hasPlayers: stats.players.length > 0
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("input[type='date']").on("change", event => {
+      this.filters[event.target.name] = event.target.value;
+      this.render();
+    });
+    html.find("[data-action='clearFilters']").on("click", () => {
+      this.filters = { from: "", to: "" };
+      this.render();
+    });
+  }
+
+  async close(options) {
+    StatisticsViewer.instance = null;
+    return super.close(options);
+  }
+
+  /**
+   * Turn the date inputs into a range; the end date is inclusive
+   * @returns {Object} { from, to } as ms timestamps or null
+   */
+  _getRange() {
+    const from = this.filters.from ? new Date(`${this.filters.from}T00:00:00`).getTime() : null;
+    const to = this.filters.to ? new Date(`${this.filters.to}T23:59:59.999`).getTime() : null;
+    return { from, to };
+  }
+
+  /**
+   * Format a duration in ms as hours and minutes
+   * @param {number} ms - Duration
+   * @returns {string} Localized duration
+   */
+  _formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    return game.i18n.format("crucible.session.duration", {
+      hours: Math.floor(minutes / 60),
+      minutes: String(minutes % 60).padStart(2, "0")
+    });
+  }
+
+  /**
+   * Draw both pools over time as step lines
+   * @param {Array<Object>} timeline - Points from CrucibleStatistics ({ time, player, gm })
+   * @returns {string|null} SVG markup, or null when there is nothing to draw
+   */
+  _buildChart(timeline) {
+    if (timeline.length < 2) return null;
+
+    const start = timeline[0].time;
+    const span = Math.max(1, timeline[timeline.length - 1].time - start);
+    const max = Math.max(1, ...timeline.map(point => Math.max(point.player, point.gm)));
+    const x = time => ((time - start) / span * CHART_WIDTH).toFixed(1);
+    const y = count => (CHART_HEIGHT - count / max * CHART_HEIGHT).toFixed(1);
+
+    const path = key => timeline.map((point, i) => {
+      if (i === 0) return `M${x(point.time)},${y(point[key])}`;
+      return `H${x(point.time)}V${y(point[key])}`;
+    }).join("");
+
+    return `<svg class="crucible-chart" viewBox="0 -10 ${CHART_WIDTH} ${CHART_HEIGHT + 20}" preserveAspectRatio="none">`
+      + `<line class="crucible-chart-axis" x1="0" y1="${CHART_HEIGHT}" x2="${CHART_WIDTH}" y2="${CHART_HEIGHT}"/>`
+      + `<path class="crucible-chart-player" d="${path("player")}"/>`
+      + `<path class="crucible-chart-gm" d="${path("gm")}"/>`
+      + `</svg>`;
+  }
+}